@@ -0,0 +1,95 @@
+/**
+ * Attachments for format-markdown
+ *
+ * Some content does not belong in message text. Images (![alt](url)) have
+ * no text form at all, and a long code block would fill several messages.
+ * extractAttachments() takes both out of the document tree, leaving a short
+ * placeholder where each was, and returns them as attachments for the
+ * channel client to upload natively:
+ *
+ *   { type: 'image', url, alt }
+ *   { type: 'file', filename, language, content }
+ *
+ * Code blocks become files when they run over `codeAttachmentLines` lines
+ * (0 keeps every block inline). The filename comes from the language tag:
+ * snippet.py, snippet-2.js, ...
+ */
+
+const { parseMarkdown, mapDocument } = require('./markdown');
+const { convertMath } = require('./math');
+const { applyUrlPolicy } = require('./links');
+const { applyTokens } = require('./tokens');
+
+const EXTENSIONS = {
+    bash: 'sh', sh: 'sh', shell: 'sh', zsh: 'sh', console: 'sh',
+    c: 'c', cpp: 'cpp', 'c++': 'cpp', cs: 'cs', csharp: 'cs',
+    css: 'css', diff: 'diff', dockerfile: 'dockerfile', go: 'go',
+    html: 'html', java: 'java', javascript: 'js', js: 'js', jsx: 'jsx',
+    json: 'json', kotlin: 'kt', kt: 'kt', lua: 'lua', markdown: 'md', md: 'md',
+    php: 'php', python: 'py', py: 'py', ruby: 'rb', rb: 'rb', rust: 'rs', rs: 'rs',
+    scss: 'scss', sql: 'sql', swift: 'swift', toml: 'toml',
+    typescript: 'ts', ts: 'ts', tsx: 'tsx', xml: 'xml', yaml: 'yml', yml: 'yml',
+};
+
+function extensionFor(lang) {
+    const key = lang.toLowerCase();
+    if (EXTENSIONS[key]) return EXTENSIONS[key];
+    return /^[a-z0-9]{1,8}$/.test(key) ? key : 'txt';
+}
+
+function imagePlaceholder(node) {
+    return { type: 'text', value: node.alt ? '[image: ' + node.alt + ']' : '[image]' };
+}
+
+/**
+ * Returns { blocks, attachments }: the blocks with images and oversized
+ * code blocks replaced by placeholders, and what was taken out, in
+ * document order.
+ */
+function extractAttachments(blocks, options) {
+    const attachments = [];
+    const files = {};
+
+    const codeFile = (block) => {
+        const ext = extensionFor(block.lang);
+        files[ext] = (files[ext] || 0) + 1;
+        const filename = files[ext] === 1 ? 'snippet.' + ext : 'snippet-' + files[ext] + '.' + ext;
+        const lines = block.value.split('\n').length;
+        attachments.push({ type: 'file', filename, language: block.lang, content: block.value });
+        return {
+            type: 'paragraph',
+            tight: block.tight,
+            children: [{ type: 'text', value: '[attached: ' + filename + ', ' + lines + ' lines]' }],
+        };
+    };
+
+    const limit = options.codeAttachmentLines;
+    const mapped = mapDocument(blocks, {
+        block: (block) => (block.type === 'code' && limit > 0 && block.value.split('\n').length > limit
+            ? codeFile(block)
+            : block),
+        inline: (node) => {
+            if (node.type !== 'image') return node;
+            attachments.push({ type: 'image', url: node.url, alt: node.alt });
+            return imagePlaceholder(node);
+        },
+    });
+    return { blocks: mapped, attachments };
+}
+
+// Parses `text` for rendering: the document's blocks with math converted
+// (math.js), attachments replaced by their placeholders, bare URLs handled
+// per the bareUrls option (links.js) and shortcodes and mentions resolved
+// (tokens.js).
+function parseForChannel(text, options) {
+    const { blocks } = extractAttachments(convertMath(parseMarkdown(text).children, options), options);
+    return applyTokens(applyUrlPolicy(blocks, options), options);
+}
+
+// The attachments parseForChannel() takes out of `text`, so the metadata
+// always matches the placeholders in the rendered text.
+function attachmentsFor(text, options) {
+    return extractAttachments(convertMath(parseMarkdown(text).children, options), options).attachments;
+}
+
+module.exports = { extractAttachments, parseForChannel, attachmentsFor };
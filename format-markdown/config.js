@@ -0,0 +1,161 @@
+/**
+ * Configuration for format-markdown
+ *
+ * Read once from the plugin context at activation (`ctx.config`). Every key
+ * may be set at the top level, applying to all channels, or under
+ * `channels.<name>` to override it for one channel. Invalid values and
+ * unknown keys are dropped with a logged warning; the default stays in
+ * effect.
+ *
+ *   tableMaxWidth  integer 20-200   widest box-drawn table, in columns (60)
+ *   tableOverflow  'auto' | 'wrap' | 'split' | 'transpose' | 'truncate'
+ *                                   what to do with a table wider than
+ *                                   tableMaxWidth: wrap cells, split columns
+ *                                   over stacked tables, one record per row,
+ *                                   or cut cells off; auto picks the first
+ *                                   that loses nothing (auto)
+ *   tableStyle     'box' | 'cards'  monospace grid, or "Header: value" groups
+ *                                   (box; cards on WhatsApp and plaintext)
+ *   linkStyle      'inline' | 'label' | 'url'
+ *                                   how links read where the channel has no
+ *                                   link markup (WhatsApp, plaintext):
+ *                                   "text (url)", "text" or "url"
+ *                                   (inline; label on plaintext)
+ *   bareUrls       'linkify' | 'domain' | 'list'
+ *                                   bare URLs in the text: left as they are,
+ *                                   shortened to their domain, or shortened
+ *                                   and listed in full at the end
+ *                                   (linkify; list on WhatsApp and plaintext)
+ *   bullet         1-3 characters   list bullet glyph (•; - on Discord)
+ *   headingStyle   'bold' | 'plain' | 'upper' | 'native'
+ *                                   bold line, plain line, UPPERCASE line, or
+ *                                   the channel's own headings (Discord,
+ *                                   Matrix and email; bold elsewhere) (bold;
+ *                                   native on Discord, Matrix and email,
+ *                                   plain on plaintext)
+ *   codeAttachmentLines  integer 0-10000
+ *                                   code blocks longer than this many lines
+ *                                   become file attachments; 0 keeps them
+ *                                   all inline (80)
+ *   math           'unicode' | 'raw'
+ *                                   LaTeX math converted to Unicode, or left
+ *                                   as written (unicode; raw on Discord)
+ *   parseMode      'MarkdownV2' | 'HTML' | 'entities'
+ *                                   Telegram parse mode, or plain text with a
+ *                                   MessageEntity array (MarkdownV2)
+ *
+ * Example:
+ *
+ *   {
+ *     "tableMaxWidth": 80,
+ *     "channels": {
+ *       "telegram": { "parseMode": "HTML", "tableMaxWidth": 40 },
+ *       "whatsapp": { "linkStyle": "label", "bullet": "-" }
+ *     }
+ *   }
+ */
+
+const SCHEMA = {
+    tableMaxWidth: { integer: true, min: 20, max: 200 },
+    tableOverflow: { values: ['auto', 'wrap', 'split', 'transpose', 'truncate'] },
+    tableStyle: { values: ['box', 'cards'] },
+    linkStyle: { values: ['inline', 'label', 'url'] },
+    bareUrls: { values: ['linkify', 'domain', 'list'] },
+    bullet: { string: true, minLength: 1, maxLength: 3 },
+    headingStyle: { values: ['bold', 'plain', 'upper', 'native'] },
+    codeAttachmentLines: { integer: true, min: 0, max: 10000 },
+    math: { values: ['unicode', 'raw'] },
+    parseMode: { values: ['MarkdownV2', 'HTML', 'entities'] },
+};
+
+const DEFAULTS = {
+    tableMaxWidth: 60,
+    tableOverflow: 'auto',
+    tableStyle: 'box',
+    linkStyle: 'inline',
+    bareUrls: 'linkify',
+    bullet: '\u2022',
+    headingStyle: 'bold',
+    codeAttachmentLines: 80,
+    math: 'unicode',
+    parseMode: 'MarkdownV2',
+};
+
+const CHANNEL_DEFAULTS = {
+    discord: { bullet: '-', headingStyle: 'native', math: 'raw' },
+    whatsapp: { tableStyle: 'cards', bareUrls: 'list' },
+    matrix: { headingStyle: 'native' },
+    email: { headingStyle: 'native' },
+    plaintext: { tableStyle: 'cards', linkStyle: 'label', headingStyle: 'plain', bareUrls: 'list' },
+};
+
+// Channels without a renderer of their own get plain text.
+const RENDERED_CHANNELS = ['telegram', 'discord', 'whatsapp', 'slack', 'matrix', 'email'];
+
+function checkValue(rule, value) {
+    if (rule.values) return rule.values.includes(value);
+    if (rule.integer) return Number.isInteger(value) && value >= rule.min && value <= rule.max;
+    if (rule.string) return typeof value === 'string' && value.length >= rule.minLength && value.length <= rule.maxLength;
+    return false;
+}
+
+function describeRule(rule) {
+    if (rule.values) return 'one of ' + rule.values.join(', ');
+    if (rule.integer) return 'an integer from ' + rule.min + ' to ' + rule.max;
+    return 'a string of ' + rule.minLength + '-' + rule.maxLength + ' characters';
+}
+
+function validateSection(raw, where, log) {
+    const clean = {};
+    if (raw === undefined || raw === null) return clean;
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        log('WARN', 'format-markdown: ' + where + ' must be an object, ignoring it');
+        return clean;
+    }
+    for (const [key, value] of Object.entries(raw)) {
+        if (key === 'channels' && where === 'config') continue;
+        const rule = SCHEMA[key];
+        if (!rule) {
+            log('WARN', 'format-markdown: unknown option ' + where + '.' + key + ', ignoring it');
+        } else if (!checkValue(rule, value)) {
+            log('WARN', 'format-markdown: ' + where + '.' + key + ' must be ' + describeRule(rule)
+                + ', got ' + JSON.stringify(value) + '; using the default');
+        } else {
+            clean[key] = value;
+        }
+    }
+    return clean;
+}
+
+/**
+ * Validates a raw plugin config. Returns { global, channels } holding only
+ * the valid settings; everything else is reported through `log`.
+ */
+function loadConfig(raw, log) {
+    const config = { global: validateSection(raw, 'config', log), channels: {} };
+    const channels = raw && raw.channels;
+    if (channels !== undefined && (typeof channels !== 'object' || channels === null || Array.isArray(channels))) {
+        log('WARN', 'format-markdown: config.channels must be an object, ignoring it');
+        return config;
+    }
+    for (const [name, section] of Object.entries(channels || {})) {
+        config.channels[name] = validateSection(section, 'config.channels.' + name, log);
+    }
+    return config;
+}
+
+/**
+ * Resolves the effective options for a channel: built-in defaults, then
+ * channel defaults, then the global config, then the channel's overrides.
+ */
+function resolveOptions(channel, config = { global: {}, channels: {} }) {
+    const kind = RENDERED_CHANNELS.includes(channel) ? channel : 'plaintext';
+    return {
+        ...DEFAULTS,
+        ...CHANNEL_DEFAULTS[kind],
+        ...config.global,
+        ...config.channels[channel],
+    };
+}
+
+module.exports = { loadConfig, resolveOptions };
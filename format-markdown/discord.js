@@ -0,0 +1,58 @@
+/**
+ * Discord renderer for format-markdown
+ *
+ * Discord reads markdown natively, so this dialect mostly re-emits it: the
+ * tree is re-serialized with Discord's markers and everything else escaped.
+ * What Discord lacks is adapted: tables become box-drawn code blocks and
+ * headings deeper than ### (the deepest Discord renders) become ###.
+ *
+ * Discord rejects messages over 2000 characters, so long responses are split
+ * with the shared splitter; code blocks are re-fenced on both sides of a cut.
+ */
+
+const { prefixLines } = require('./markdown');
+const { parseForChannel } = require('./attachments');
+const { withOptions, renderDocument, splitDocument } = require('./render');
+const { resolveOptions } = require('./config');
+
+const DISCORD_MAX_LENGTH = 2000;
+
+const DISCORD_MAX_HEADING_DEPTH = 3;
+
+function escapeDiscord(text) {
+    return text.replace(/([\\*_~`|])/g, '\\$1');
+}
+
+function codeSpan(value) {
+    return value.includes('`') ? '`` ' + value + ' ``' : '`' + value + '`';
+}
+
+const DISCORD = {
+    escape: escapeDiscord,
+    escapeCode: (text) => text,
+    strong: ['**', '**'],
+    emphasis: ['*', '*'],
+    delete: ['~~', '~~'],
+    spoiler: ['||', '||'],
+    code: codeSpan,
+    link: (label, url, node) => node.bare
+        ? url
+        : '[' + label + '](' + url.replace(/\(/g, '%28').replace(/\)/g, '%29') + ')',
+    fence: (lang, body) => '```' + lang + '\n' + body + '\n```',
+    mention: (node) => (node.kind === 'user' ? '<@' : '<#') + node.id + '>',
+    heading: (depth, inner) => '#'.repeat(Math.min(depth, DISCORD_MAX_HEADING_DEPTH)) + ' ' + inner,
+    blockquote: (body) => prefixLines(body, '> '),
+};
+
+function formatDiscord(text, options = resolveOptions('discord')) {
+    return renderDocument(parseForChannel(text, options), withOptions(DISCORD, options));
+}
+
+function formatDiscordChunks(text, options = resolveOptions('discord'), limit = DISCORD_MAX_LENGTH) {
+    const dialect = withOptions(DISCORD, options);
+    return splitDocument(parseForChannel(text, options), dialect, limit)
+        .map(blocks => renderDocument(blocks, dialect))
+        .filter(Boolean);
+}
+
+module.exports = { formatDiscord, formatDiscordChunks, DISCORD_MAX_LENGTH };
@@ -0,0 +1,173 @@
+/**
+ * HTML renderers for format-markdown
+ *
+ * Matrix and email take real HTML, so unlike the Telegram HTML dialect
+ * (telegram.js), which only has inline tags, these walk the document tree
+ * into block elements: <p>, <h1>-<h6>, <ul>/<ol>, <table>, <pre><code>,
+ * <blockquote> and <hr>. Each comes with a plain-text part for clients that
+ * do not show HTML.
+ *
+ * Matrix: `body` plus `formatted_body` in org.matrix.custom.html; spoilers
+ *         use <span data-mx-spoiler>
+ * Email:  an HTML part and a text part; spoilers are shown as is
+ *
+ * The HTML is safe by construction. The parser never passes raw HTML
+ * through, so a <script> in the response is just text, and every text and
+ * attribute value is escaped. Links keep their href only for the schemes
+ * in LINK_SCHEMES; any other link (javascript:, data:, a relative path)
+ * renders as its label.
+ */
+
+const { mapText, joinBlocks } = require('./markdown');
+const { parseForChannel } = require('./attachments');
+const { renderBlock: renderPlainBlock } = require('./plaintext');
+const { resolveOptions } = require('./config');
+
+const MATRIX_FORMAT = 'org.matrix.custom.html';
+const LINK_SCHEMES = ['http:', 'https:', 'mailto:'];
+const TASK_BOXES = ['\u2610 ', '\u2611 '];
+
+const INLINE_TAGS = { strong: 'strong', emphasis: 'em', delete: 'del' };
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// Returns the URL if its scheme is allowed, null otherwise. URLs are
+// parsed, so "JavaScript:" or "java\tscript:" do not slip past the check.
+function safeUrl(url) {
+    try {
+        return LINK_SCHEMES.includes(new URL(url).protocol) ? url : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+// --- Targets ---
+
+const MATRIX = {
+    spoiler: (inner) => '<span data-mx-spoiler>' + inner + '</span>',
+    // Ids are full Matrix ids (@alice:example.org, #room:example.org).
+    mention: (node, label) => '<a href="https://matrix.to/#/' + escapeHtml(encodeURIComponent(node.id)) + '">' + label + '</a>',
+    cell: (tag) => '<' + tag + '>',
+};
+
+const EMAIL = {
+    spoiler: (inner) => inner,
+    mention: (node, label) => label,
+    cell: (tag, align) => (align === 'left' ? '<' + tag + '>' : '<' + tag + ' align="' + align + '">'),
+    table: '<table border="1" cellspacing="0" cellpadding="4">',
+};
+
+// --- Rendering ---
+
+function renderInline(nodes, target) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'text':
+                return escapeHtml(node.value).replace(/\n/g, '<br>');
+            case 'strong':
+            case 'emphasis':
+            case 'delete': {
+                const tag = INLINE_TAGS[node.type];
+                return '<' + tag + '>' + renderInline(node.children, target) + '</' + tag + '>';
+            }
+            case 'spoiler':
+                return target.spoiler(renderInline(node.children, target));
+            case 'inlineCode':
+                return '<code>' + escapeHtml(node.value) + '</code>';
+            case 'link': {
+                const label = renderInline(node.children, target);
+                const url = safeUrl(node.url);
+                return url ? '<a href="' + escapeHtml(url) + '">' + label + '</a>' : label;
+            }
+            case 'mention':
+                return target.mention(node, renderInline(node.children, target));
+            default:
+                return '';
+        }
+    }).join('');
+}
+
+function renderHeading(block, options, target) {
+    const style = options.headingStyle;
+    if (style === 'native') return '<h' + block.depth + '>' + renderInline(block.children, target) + '</h' + block.depth + '>';
+    if (style === 'upper') return '<p>' + renderInline(mapText(block.children, s => s.toUpperCase()), target) + '</p>';
+    if (style === 'plain') return '<p>' + renderInline(block.children, target) + '</p>';
+    return '<p><strong>' + renderInline(block.children, target) + '</strong></p>';
+}
+
+function renderList(list, target) {
+    const items = list.items.map(item => {
+        const box = item.checked === null ? '' : TASK_BOXES[Number(item.checked)];
+        const nested = item.lists.map(child => renderList(child, target)).join('');
+        return '<li>' + box + renderInline(item.children, target) + nested + '</li>';
+    }).join('');
+    if (!list.ordered) return '<ul>' + items + '</ul>';
+    return (list.start === 1 ? '<ol>' : '<ol start="' + list.start + '">') + items + '</ol>';
+}
+
+function renderTable(table, target) {
+    const row = (cells, tag) => '<tr>' + cells.map((cell, c) =>
+        target.cell(tag, table.aligns[c]) + renderInline(cell, target) + '</' + tag + '>').join('') + '</tr>';
+    return (target.table || '<table>')
+        + '<thead>' + row(table.headers, 'th') + '</thead>'
+        + '<tbody>' + table.rows.map(cells => row(cells, 'td')).join('') + '</tbody>'
+        + '</table>';
+}
+
+function renderBlock(block, options, target) {
+    switch (block.type) {
+        case 'heading':
+            return renderHeading(block, options, target);
+        case 'paragraph':
+            return '<p>' + renderInline(block.children, target) + '</p>';
+        case 'list':
+            return renderList(block, target);
+        case 'code': {
+            const lang = block.lang ? ' class="language-' + escapeHtml(block.lang) + '"' : '';
+            return '<pre><code' + lang + '>' + escapeHtml(block.value) + '</code></pre>';
+        }
+        case 'table':
+            return renderTable(block, target);
+        case 'blockquote':
+            return '<blockquote>' + renderBlocks(block.children, options, target) + '</blockquote>';
+        case 'thematicBreak':
+            return '<hr>';
+        default:
+            return '';
+    }
+}
+
+function renderBlocks(blocks, options, target) {
+    return blocks.map(block => renderBlock(block, options, target)).join('\n');
+}
+
+function renderText(blocks, options) {
+    return joinBlocks(blocks, block => renderPlainBlock(block, options)).trimEnd();
+}
+
+// --- Formatting ---
+
+/**
+ * Renders a response as a Matrix message: { body, format, formatted_body }.
+ */
+function formatMatrix(text, options = resolveOptions('matrix')) {
+    const blocks = parseForChannel(text, options);
+    return {
+        body: renderText(blocks, options),
+        format: MATRIX_FORMAT,
+        formatted_body: renderBlocks(blocks, options, MATRIX),
+    };
+}
+
+/**
+ * Renders a response as the two parts of an email: { html, text }.
+ */
+function formatEmail(text, options = resolveOptions('email')) {
+    const blocks = parseForChannel(text, options);
+    return { html: renderBlocks(blocks, options, EMAIL), text: renderText(blocks, options) };
+}
+
+module.exports = { formatMatrix, formatEmail, escapeHtml, safeUrl };
@@ -0,0 +1,226 @@
+/**
+ * Incoming normalization for format-markdown
+ *
+ * The reverse of the outgoing renderers: turns what a user sent in a
+ * channel's native formatting back into the markdown the LLM reads, so a
+ * message that went out and was quoted or pasted back reads the same.
+ *
+ * Telegram: plain text plus MessageEntity ranges (UTF-16 offsets) from the
+ *           message metadata
+ * WhatsApp: *bold*, _italic_, ~strike~, `code`, ```blocks``` and "•" bullets
+ * Discord:  already markdown; only the Discord-only syntax is adapted
+ *           (>>> quotes, -# subtext, __underline__)
+ *
+ * Text that is plain in the channel but would read as markdown (a literal
+ * *star*, say) is backslash-escaped so it stays plain.
+ */
+
+const { parseInline, inlineText, prefixLines } = require('./markdown');
+
+const INLINE_SPECIAL = /([\\`*_~|\[\]])/g;
+
+// Escapes `text` only if the markdown parser would otherwise find markup in
+// it, or drop a backslash from it; bare URLs are fine as they are.
+function escapePlain(text) {
+    const nodes = parseInline(text);
+    const plain = nodes.every(node => node.type === 'text' || (node.type === 'link' && node.bare))
+        && inlineText(nodes) === text;
+    return plain ? text : text.replace(INLINE_SPECIAL, '\\$1');
+}
+
+function endsLine(out) {
+    return out === '' || out.endsWith('\n');
+}
+
+// --- Telegram ---
+
+const ENTITY_MARKERS = {
+    bold: '**',
+    strikethrough: '~~',
+    spoiler: '||',
+};
+
+const WORD = /[\p{L}\p{N}_]/u;
+
+// Neither `_` nor a single `*` marks italics inside a word (markdown.js
+// keeps snake_case and a*b*c plain), so italics that touch a word on either
+// side cannot be written in markdown and stay plain text.
+function italicMarker(before, after) {
+    return WORD.test(before) || WORD.test(after) ? '' : '_';
+}
+
+// Markdown emphasis cannot start or end on whitespace, so spaces at the
+// edges of a span move outside the markers.
+function wrapSpan(marker, inner) {
+    const lead = inner.match(/^\s*/)[0];
+    const trail = inner.slice(lead.length).match(/\s*$/)[0];
+    const core = inner.slice(lead.length, inner.length - trail.length);
+    return core && marker ? lead + marker + core + marker + trail : inner;
+}
+
+function codeSpan(value) {
+    return value.includes('`') ? '`` ' + value + ' ``' : '`' + value + '`';
+}
+
+function renderEntity(entity, text, inner, out) {
+    const raw = text.slice(entity.offset, entity.offset + entity.length);
+    switch (entity.type) {
+        case 'italic': {
+            // The characters next to the markers, once edge spaces move out.
+            const before = /^\s/.test(raw) ? ' ' : text[entity.offset - 1] || '';
+            const after = /\s$/.test(raw) ? ' ' : text[entity.offset + entity.length] || '';
+            return wrapSpan(italicMarker(before, after), inner);
+        }
+        case 'bold':
+        case 'strikethrough':
+        case 'spoiler':
+            return wrapSpan(ENTITY_MARKERS[entity.type], inner);
+        case 'code':
+            return codeSpan(raw);
+        case 'pre': {
+            const fence = '```' + (entity.language || '') + '\n' + raw.replace(/\n$/, '') + '\n```';
+            return (endsLine(out) ? '' : '\n') + fence;
+        }
+        case 'text_link':
+            return '[' + inner + '](' + entity.url.replace(/([\\()])/g, '\\$1') + ')';
+        case 'blockquote':
+        case 'expandable_blockquote':
+            return (endsLine(out) ? '' : '\n') + prefixLines(inner, '> ');
+        default:
+            return inner;
+    }
+}
+
+function byPosition(a, b) {
+    return a.offset - b.offset || b.length - a.length;
+}
+
+// Renders text[start, end) with the entities that lie in it. Entities are
+// sorted by offset, longest first, so every entity follows the one it is
+// nested in. Markdown spans cannot overlap, so an entity that runs past the
+// end of the one it starts in is cut in two there.
+function renderRange(text, sorted, start, end) {
+    const entities = [...sorted];
+    let out = '';
+    let pos = start;
+    let i = 0;
+    while (i < entities.length) {
+        const entity = entities[i];
+        const stop = Math.min(entity.offset + entity.length, end);
+        const nested = [];
+        const rest = [];
+        i++;
+        while (i < entities.length && entities[i].offset < stop) {
+            const inner = entities[i];
+            const innerEnd = inner.offset + inner.length;
+            nested.push({ ...inner, length: Math.min(innerEnd, stop) - inner.offset });
+            if (innerEnd > stop) rest.push({ ...inner, offset: stop, length: innerEnd - stop });
+            i++;
+        }
+        if (rest.length) entities.splice(i, entities.length - i, ...[...entities.slice(i), ...rest].sort(byPosition));
+        out += escapePlain(text.slice(pos, entity.offset));
+        const clipped = { ...entity, length: stop - entity.offset };
+        out += renderEntity(clipped, text, renderRange(text, nested, entity.offset, stop), out);
+        pos = stop;
+    }
+    return out + escapePlain(text.slice(pos, end));
+}
+
+/**
+ * Converts Telegram text and its entities (offsets and lengths in UTF-16
+ * code units) into markdown.
+ */
+function fromTelegram(text, entities = []) {
+    const sorted = entities
+        .filter(entity => entity.length > 0 && entity.offset >= 0 && entity.offset < text.length)
+        .sort(byPosition);
+    return renderRange(text, sorted, 0, text.length);
+}
+
+// --- WhatsApp ---
+
+const WHATSAPP_SPAN = /(^|[^\p{L}\p{N}_*~`])([*_~])(?=\S)([^\n]*?\S)\2(?![\p{L}\p{N}_])/gu;
+// Converted markers are parked on control characters until every span is
+// found, so a converted ** is never read as WhatsApp markup again.
+const PARKED = { '*': '\u0002', '_': '\u0003', '~': '\u0004' };
+const MARKDOWN_MARKERS = { '\u0002': '**', '\u0003': '_', '\u0004': '~~' };
+const WHATSAPP_CODE = /```([\s\S]*?)```|`([^`\n]+)`/g;
+
+function fromWhatsAppSpans(text) {
+    let prev;
+    let out = text;
+    // Repeat so that nested spans (*_both_*) convert from the outside in.
+    do {
+        prev = out;
+        out = out.replace(WHATSAPP_SPAN, (_m, before, marker, inner) =>
+            before + PARKED[marker] + inner + PARKED[marker]);
+    } while (out !== prev);
+    // What is left of the text is literal in WhatsApp; escape it where
+    // markdown would read it as markup (a*b*c stays, [x](y) is escaped).
+    return escapePlain(out).replace(/[\u0002-\u0004]/g, parked => MARKDOWN_MARKERS[parked]);
+}
+
+function fromWhatsAppLines(text) {
+    return text.split('\n')
+        .map(line => line.replace(/^([\t ]*)\u2022[\t ]+/, '$1- '))
+        .join('\n');
+}
+
+/**
+ * Converts WhatsApp markup into markdown. Monospace stays as it is: ```
+ * spans become fenced blocks when they run over several lines and inline
+ * code otherwise.
+ */
+function fromWhatsApp(text) {
+    let out = '';
+    let pos = 0;
+    for (const match of text.matchAll(WHATSAPP_CODE)) {
+        out += fromWhatsAppSpans(fromWhatsAppLines(text.slice(pos, match.index)));
+        if (match[2] !== undefined) {
+            out += match[0];
+        } else if (match[1].includes('\n')) {
+            out += (endsLine(out) ? '' : '\n') + '```\n' + match[1].replace(/^\n|\n$/g, '') + '\n```';
+        } else {
+            out += codeSpan(match[1]);
+        }
+        pos = match.index + match[0].length;
+    }
+    return out + fromWhatsAppSpans(fromWhatsAppLines(text.slice(pos)));
+}
+
+// --- Discord ---
+
+/**
+ * Adapts Discord's own syntax: ">>> " quotes everything after it, "-# "
+ * subtext becomes a plain line and __underline__, which markdown would
+ * read as bold, becomes plain text. Code is left alone.
+ */
+function fromDiscord(text) {
+    const lines = text.split('\n');
+    const out = [];
+    let quoting = false;
+    let fence = null;
+    for (const line of lines) {
+        const marker = /^[\t ]*(`{3,}|~{3,})/.exec(line);
+        if (fence) {
+            if (marker && marker[1][0] === fence[0] && marker[1].length >= fence.length) fence = null;
+            out.push(quoting ? prefixLines(line, '> ') : line);
+            continue;
+        }
+        if (marker) fence = marker[1];
+        let body = line;
+        const multi = /^>>> ?(.*)$/.exec(body);
+        if (multi && !quoting) {
+            quoting = true;
+            body = multi[1];
+        }
+        if (!fence) {
+            body = body.replace(/^-# /, '')
+                .replace(/(`+)([\s\S]*?)\1|__(?=\S)(.+?\S)__/g, (m, ticks, _code, inner) => ticks ? m : inner);
+        }
+        out.push(quoting ? prefixLines(body, '> ') : body);
+    }
+    return out.join('\n');
+}
+
+module.exports = { fromTelegram, fromWhatsApp, fromDiscord };
@@ -4,321 +4,145 @@
  * Transforms outgoing LLM responses from raw markdown into channel-appropriate
  * formatting. Self-contained — no external dependencies.
  *
- * Telegram: MarkdownV2 with proper escaping, box-drawn tables, bullet lists
- * Discord:  pass-through (native markdown)
+ * The response is parsed once into a document tree (markdown.js) and each
+ * channel has a renderer over that tree, so all channels agree on what is
+ * bold, code or a link.
+ *
+ * Telegram: MarkdownV2 with proper escaping (or HTML, or plain text with an
+ *           entities array, per config),
+ *           box-drawn tables, nested, numbered and task lists, split
+ *           into messages under Telegram's 4096-character limit, each with
+ *           a plain-text fallback
+ * Discord:  native markdown with box-drawn tables and headings capped at ###,
+ *           split into messages under Discord's 2000-character limit
  * WhatsApp: adapted markdown (*bold*, ~strike~, card-style tables)
+ * Slack:    mrkdwn (*bold*, <url|text> links, monospace tables) plus Block Kit
+ *           blocks in metadata
+ * Matrix:   plain `body` plus sanitized HTML `formatted_body` in metadata
+ * Email:    text part plus sanitized HTML part (`html`) in metadata
  * Other:    plain text (strip all markdown)
+ *
+ * Table width and layout, link style, bullets, heading style and the Telegram
+ * parse mode are configurable globally and per channel; see config.js.
+ *
+ * Incoming messages go the other way (incoming.js): Telegram entities,
+ * WhatsApp markup and Discord-only syntax become standard markdown before the
+ * LLM sees them.
+ *
+ * For responses shown while they stream in, createStreamFormatter(channel,
+ * mentions) renders each partial response so that every message edit is
+ * valid and stable (stream.js). Each rendering is what transformOutgoing
+ * returns for that text, metadata (parse mode, entities, HTML) included, so
+ * the edits and the final message are sent in the same format.
+ *
+ * Images and long code blocks are taken out of the text and returned as
+ * `attachments` in the metadata of the first message (attachments.js).
+ *
+ * Emoji shortcodes (:rocket:) become emoji, and @user / #channel mentions
+ * found in the `mentions` lookup of the transform context become native
+ * mentions (tokens.js).
+ *
+ * LaTeX math ($...$, $$...$$) is shown as Unicode where it converts cleanly
+ * and as code where it does not (math.js).
+ *
+ * Reference links and footnotes are resolved by the parser; bare URLs are
+ * kept, shortened or moved to a list at the end per channel (links.js).
  */
 
-const TELEGRAM_SPECIAL = /([_*\[\]()~`>#+\-=|{}.!\\])/g;
-
-const TELEGRAM_TABLE_MAX_WIDTH = 60;
-
-const BOX = {
-    h: '\u2500', v: '\u2502',
-    tl: '\u250C', tr: '\u2510', bl: '\u2514', br: '\u2518',
-    lj: '\u251C', rj: '\u2524', tj: '\u252C', bj: '\u2534', cross: '\u253C',
-};
+const { formatTelegram, formatTelegramHtml, formatTelegramChunks } = require('./telegram');
+const { formatDiscord, formatDiscordChunks } = require('./discord');
+const { formatWhatsApp } = require('./whatsapp');
+const { formatSlack, buildSlackBlocks } = require('./slack');
+const { stripMarkdown } = require('./plaintext');
+const { formatMatrix, formatEmail } = require('./html');
+const { loadConfig, resolveOptions } = require('./config');
+const { fromTelegram, fromWhatsApp, fromDiscord } = require('./incoming');
+const { createStreamFormatter } = require('./stream');
+const { attachmentsFor } = require('./attachments');
 
-function stripCellMarkdown(cell) {
-    return cell
-        .replace(/\*\*(.+?)\*\*/g, '$1')
-        .replace(/(?<!\w)\*(.+?)\*(?!\w)/g, '$1')
-        .replace(/~~(.+?)~~/g, '$1')
-        .replace(/`([^`]+)`/g, '$1')
-        .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1');
-}
+let config = { global: {}, channels: {} };
 
-function parseAlignments(separator) {
-    return separator.split('|').slice(1, -1).map(cell => {
-        const trimmed = cell.trim();
-        const left = trimmed.startsWith(':');
-        const right = trimmed.endsWith(':');
-        if (left && right) return 'center';
-        if (right) return 'right';
-        return 'left';
-    });
-}
+// --- Main formatting ---
 
-function padAligned(s, width, align) {
-    if (s.length >= width) return s;
-    const gap = width - s.length;
-    if (align === 'right') return ' '.repeat(gap) + s;
-    if (align === 'center') {
-        const left = Math.floor(gap / 2);
-        return ' '.repeat(left) + s + ' '.repeat(gap - left);
+function formatMarkdown(text, channel, options = resolveOptions(channel, config)) {
+    if (!text) return text;
+    if (channel === 'discord') return formatDiscord(text, options);
+    if (channel === 'telegram') {
+        // Entities need metadata, which only the hook can return.
+        return options.parseMode === 'HTML' ? formatTelegramHtml(text, options) : formatTelegram(text, options);
     }
-    return s + ' '.repeat(gap);
-}
-
-function truncate(s, max) {
-    return s.length > max ? s.slice(0, max - 1) + '\u2026' : s;
+    if (channel === 'whatsapp') return formatWhatsApp(text, options);
+    if (channel === 'slack') return formatSlack(text, options);
+    // The HTML parts need metadata, which only the hook can return.
+    if (channel === 'matrix') return formatMatrix(text, options).body;
+    if (channel === 'email') return formatEmail(text, options).text;
+    return stripMarkdown(text, options);
 }
 
-function convertMarkdownTables(text, channel) {
-    const tableRegex = /^(\|.+\|)\n(\|[\s:|-]+\|)\n((?:\|.+\|\n?)+)/gm;
-
-    return text.replace(tableRegex, (_match, headerLine, separator, bodyBlock) => {
-        const parseRow = (row) =>
-            row.split('|').slice(1, -1).map(cell => stripCellMarkdown(cell.trim()));
-
-        const headers = parseRow(headerLine);
-        const bodyRows = bodyBlock.trimEnd().split('\n').map(parseRow);
-        const aligns = parseAlignments(separator);
-
-        if (channel === 'telegram') {
-            const numCols = headers.length;
-
-            let colWidths = headers.map((h, i) =>
-                Math.max(h.length, ...bodyRows.map(r => (r[i] || '').length))
-            );
-
-            const overhead = (numCols - 1) * 3 + 4;
-            let totalWidth = colWidths.reduce((a, b) => a + b, 0) + overhead;
-
-            if (totalWidth > TELEGRAM_TABLE_MAX_WIDTH) {
-                const available = TELEGRAM_TABLE_MAX_WIDTH - overhead;
-                const totalContent = colWidths.reduce((a, b) => a + b, 0);
-                colWidths = colWidths.map(w => Math.max(2, Math.floor((w / totalContent) * available)));
-            }
-
-            const fmtHeaders = headers.map((h, i) => padAligned(truncate(h, colWidths[i]), colWidths[i], aligns[i] || 'left'));
-            const fmtRows = bodyRows.map(r =>
-                r.map((cell, i) => padAligned(truncate(cell, colWidths[i]), colWidths[i], aligns[i] || 'left'))
-            );
-
-            const topBorder    = BOX.tl + colWidths.map(w => BOX.h.repeat(w + 2)).join(BOX.tj) + BOX.tr;
-            const headerDiv    = BOX.lj + colWidths.map(w => BOX.h.repeat(w + 2)).join(BOX.cross) + BOX.rj;
-            const bottomBorder = BOX.bl + colWidths.map(w => BOX.h.repeat(w + 2)).join(BOX.bj) + BOX.br;
-
-            const headerRow = BOX.v + fmtHeaders.map(h => ' ' + h + ' ').join(BOX.v) + BOX.v;
-            const dataRows = fmtRows.map(r =>
-                BOX.v + r.map(cell => ' ' + cell + ' ').join(BOX.v) + BOX.v
-            );
-
-            const table = [topBorder, headerRow, headerDiv, ...dataRows, bottomBorder].join('\n');
-            return '\n```\n' + table + '\n```\n';
-        }
-
-        // WhatsApp / plaintext: card-style
-        const cards = bodyRows.map(row =>
-            headers.map((h, i) => `${h}: ${row[i] || ''}`).join('\n')
-        );
-        return '\n' + cards.join('\n\n') + '\n';
-    });
+// The mention lookup comes with each message rather than from config.
+function optionsFor(ctx) {
+    return { ...resolveOptions(ctx.channel, config), mentions: ctx.mentions || null };
 }
 
-// --- Telegram MarkdownV2 ---
-
-function transformTelegramText(text) {
-    let working = text;
-
-    working = working.replace(/^#{1,6}\s+(.+)$/gm, '**$1**');
-    working = working.replace(/^---+$/gm, '');
-    working = working.replace(/^[\t ]*[-*]\s+/gm, '\u2022 ');
-
-    const tokens = [];
-    const inlineRegex = /\*\*(.+?)\*\*|~~(.+?)~~|\[([^\]]+)\]\(([^)]+)\)|(?:https?:\/\/[^\s<>\[\]()]+)|(?<!\w)\*(.+?)\*(?!\w)|(?<!\w)_(.+?)_(?!\w)/g;
-
-    let lastIdx = 0;
-    let inlineMatch;
-
-    while ((inlineMatch = inlineRegex.exec(working)) !== null) {
-        if (inlineMatch.index > lastIdx) {
-            tokens.push({ type: 'raw', text: working.slice(lastIdx, inlineMatch.index) });
-        }
-
-        if (inlineMatch[1] !== undefined) {
-            tokens.push({ type: 'bold', text: inlineMatch[1] });
-        } else if (inlineMatch[2] !== undefined) {
-            tokens.push({ type: 'strike', text: inlineMatch[2] });
-        } else if (inlineMatch[3] !== undefined) {
-            tokens.push({ type: 'link', text: inlineMatch[3], url: inlineMatch[4] });
-        } else if (inlineMatch[5] !== undefined) {
-            tokens.push({ type: 'italic', text: inlineMatch[5] });
-        } else if (inlineMatch[6] !== undefined) {
-            tokens.push({ type: 'italic', text: inlineMatch[6] });
-        } else if (inlineMatch[0].startsWith('http')) {
-            tokens.push({ type: 'bare_url', text: inlineMatch[0] });
-        }
-
-        lastIdx = inlineMatch.index + inlineMatch[0].length;
-    }
-
-    if (lastIdx < working.length) {
-        tokens.push({ type: 'raw', text: working.slice(lastIdx) });
-    }
-
-    const parts = [];
-    for (const token of tokens) {
-        const escaped = token.text.replace(TELEGRAM_SPECIAL, '\\$1');
-        switch (token.type) {
-            case 'raw':
-                parts.push(escaped);
-                break;
-            case 'bold':
-                parts.push('*' + escaped + '*');
-                break;
-            case 'italic':
-                parts.push('_' + escaped + '_');
-                break;
-            case 'strike':
-                parts.push('~' + escaped + '~');
-                break;
-            case 'bare_url': {
-                const escapedDisplay = token.text.replace(TELEGRAM_SPECIAL, '\\$1');
-                const escapedHref = token.text.replace(/([)\\])/g, '\\$1');
-                parts.push('[' + escapedDisplay + '](' + escapedHref + ')');
-                break;
-            }
-            case 'link': {
-                const escapedUrl = (token.url || '').replace(/([)\\])/g, '\\$1');
-                parts.push('[' + escaped + '](' + escapedUrl + ')');
-                break;
-            }
-        }
-    }
-
-    return parts.join('');
-}
-
-function formatTelegram(text) {
-    let preprocessed = convertMarkdownTables(text, 'telegram');
+// --- Plugin exports ---
 
-    const segments = [];
-    let remaining = preprocessed;
+module.exports.activate = function(ctx) {
+    config = loadConfig(ctx.config || {}, ctx.log);
+};
 
-    const codeBlockRegex = /```(\w*)\n?([\s\S]*?)```/g;
-    let lastIndex = 0;
-    let match;
+module.exports.createStreamFormatter = function(channel, mentions) {
+    const ctx = { channel, mentions };
+    return createStreamFormatter(text => module.exports.hooks.transformOutgoing(text, ctx));
+};
 
-    while ((match = codeBlockRegex.exec(remaining)) !== null) {
-        if (match.index > lastIndex) {
-            segments.push({ type: 'text', content: remaining.slice(lastIndex, match.index) });
+module.exports.hooks = {
+    transformOutgoing(message, ctx) {
+        const options = optionsFor(ctx);
+        const attachments = attachmentsFor(message || '', options);
+        const withAttachments = (metadata) => (attachments.length ? { ...metadata, attachments } : metadata);
+
+        if (ctx.channel === 'telegram' && typeof message === 'string') {
+            // `fallback` is what the channel client resends when Telegram
+            // replies "can't parse entities" to the formatted text.
+            // In entity mode there is no parse mode; the formatting travels as
+            // `entities` next to the plain text.
+            const chunks = formatTelegramChunks(message, options);
+            return (chunks.length ? chunks : [{ text: '', fallback: '' }]).map((chunk, i) => {
+                const metadata = chunk.entities
+                    ? { entities: chunk.entities, fallback: { text: chunk.fallback } }
+                    : { parseMode: options.parseMode, fallback: { text: chunk.fallback } };
+                return { text: chunk.text, metadata: i === 0 ? withAttachments(metadata) : metadata };
+            });
         }
-        segments.push({ type: 'code', content: match[2], lang: match[1] });
-        lastIndex = match.index + match[0].length;
-    }
-
-    if (lastIndex < remaining.length) {
-        segments.push({ type: 'text', content: remaining.slice(lastIndex) });
-    }
-
-    const finalSegments = [];
-    for (const seg of segments) {
-        if (seg.type !== 'text') {
-            finalSegments.push(seg);
-            continue;
+        if (ctx.channel === 'discord' && typeof message === 'string') {
+            const chunks = formatDiscordChunks(message, options);
+            return (chunks.length ? chunks : ['']).map((text, i) =>
+                (i === 0 && attachments.length ? { text, metadata: { attachments } } : { text }));
         }
-
-        const inlineCodeRegex = /`([^`\n]+)`/g;
-        let inlineLastIndex = 0;
-        let inlineMatch;
-
-        while ((inlineMatch = inlineCodeRegex.exec(seg.content)) !== null) {
-            if (inlineMatch.index > inlineLastIndex) {
-                finalSegments.push({ type: 'text', content: seg.content.slice(inlineLastIndex, inlineMatch.index) });
-            }
-            finalSegments.push({ type: 'inline_code', content: inlineMatch[1] });
-            inlineLastIndex = inlineMatch.index + inlineMatch[0].length;
+        if (ctx.channel === 'slack' && message) {
+            const blocks = buildSlackBlocks(message, options);
+            return { text: formatSlack(message, options), metadata: withAttachments({ blocks }) };
         }
-
-        if (inlineLastIndex < seg.content.length) {
-            finalSegments.push({ type: 'text', content: seg.content.slice(inlineLastIndex) });
+        if (ctx.channel === 'matrix' && message) {
+            const { body, format, formatted_body } = formatMatrix(message, options);
+            return { text: body, metadata: withAttachments({ format, formatted_body }) };
         }
-    }
-
-    const output = [];
-    for (const seg of finalSegments) {
-        if (seg.type === 'code') {
-            const lang = seg.lang || '';
-            output.push('```' + lang + '\n' + seg.content + '```');
-        } else if (seg.type === 'inline_code') {
-            output.push('`' + seg.content + '`');
-        } else {
-            output.push(transformTelegramText(seg.content));
+        if (ctx.channel === 'email' && message) {
+            const { html, text } = formatEmail(message, options);
+            return { text, metadata: withAttachments({ html }) };
         }
-    }
-
-    let result = output.join('');
-    result = result.replace(/\n{3,}/g, '\n\n');
-    return result.trim();
-}
-
-// --- WhatsApp ---
-
-function formatWhatsApp(text) {
-    let working = text;
-
-    const codeBlocks = [];
-    working = working.replace(/```(\w*)\n?([\s\S]*?)```/g, (_match, _lang, content) => {
-        const ph = `CODEBLOCK${codeBlocks.length}ENDBLOCK`;
-        codeBlocks.push({ placeholder: ph, content });
-        return ph;
-    });
-
-    const inlineCodes = [];
-    working = working.replace(/`([^`\n]+)`/g, (_match, content) => {
-        const ph = `INLINECODE${inlineCodes.length}ENDINLINE`;
-        inlineCodes.push({ placeholder: ph, content });
-        return ph;
-    });
-
-    working = convertMarkdownTables(working, 'whatsapp');
-    working = working.replace(/^#{1,6}\s+(.+)$/gm, '*$1*');
-    working = working.replace(/^---+$/gm, '');
-    working = working.replace(/^[\t ]*[-*]\s+/gm, '\u2022 ');
-    working = working.replace(/\*\*(.+?)\*\*/g, '*$1*');
-    working = working.replace(/~~(.+?)~~/g, '~$1~');
-    working = working.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1 ($2)');
-
-    for (const ic of inlineCodes) {
-        working = working.replace(ic.placeholder, '`' + ic.content + '`');
-    }
-    for (const cb of codeBlocks) {
-        working = working.replace(cb.placeholder, '```' + cb.content + '```');
-    }
-
-    working = working.replace(/\n{3,}/g, '\n\n');
-    return working.trim();
-}
-
-// --- Plaintext ---
-
-function stripMarkdown(text) {
-    let working = text;
-    working = convertMarkdownTables(working, 'plaintext');
-    working = working.replace(/```\w*\n?([\s\S]*?)```/g, '$1');
-    working = working.replace(/`([^`\n]+)`/g, '$1');
-    working = working.replace(/^#{1,6}\s+/gm, '');
-    working = working.replace(/^---+$/gm, '');
-    working = working.replace(/\*\*(.+?)\*\*/g, '$1');
-    working = working.replace(/(?<!\w)\*(.+?)\*(?!\w)/g, '$1');
-    working = working.replace(/(?<!\w)_(.+?)_(?!\w)/g, '$1');
-    working = working.replace(/~~(.+?)~~/g, '$1');
-    working = working.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1');
-    working = working.replace(/^[\t ]*[-*]\s+/gm, '\u2022 ');
-    working = working.replace(/\n{3,}/g, '\n\n');
-    return working.trim();
-}
-
-// --- Main formatting ---
-
-function formatMarkdown(text, channel) {
-    if (!text) return text;
-    if (channel === 'discord') return text;
-    if (channel === 'telegram') return formatTelegram(text);
-    if (channel === 'whatsapp') return formatWhatsApp(text);
-    return stripMarkdown(text);
-}
-
-// --- Plugin exports ---
+        const text = formatMarkdown(message, ctx.channel, options);
+        return attachments.length ? { text, metadata: { attachments } } : text;
+    },
 
-module.exports.hooks = {
-    transformOutgoing(message, ctx) {
+    transformIncoming(message, ctx) {
+        if (!message) return message;
         if (ctx.channel === 'telegram') {
-            return { text: formatTelegram(message), metadata: { parseMode: 'MarkdownV2' } };
+            const entities = (ctx.metadata && ctx.metadata.entities) || [];
+            return fromTelegram(message, entities);
         }
-        return formatMarkdown(message, ctx.channel);
+        if (ctx.channel === 'whatsapp') return fromWhatsApp(message);
+        if (ctx.channel === 'discord') return fromDiscord(message);
+        return message;
     },
 };
@@ -0,0 +1,64 @@
+/**
+ * Bare URL policy for format-markdown
+ *
+ * A URL pasted into a sentence (https://example.com/a/very/long/path?with=query)
+ * is clickable on most channels but still takes up its full length in the
+ * text. The `bareUrls` option decides what happens to it:
+ *
+ *   linkify  left as it is; channels with link markup make it clickable
+ *   domain   shown as its domain, linking to the full URL where the channel
+ *            has link markup (elsewhere linkStyle decides)
+ *   list     shown as its domain with a number, the full URLs collected in
+ *            a "Links" list at the end of the message
+ *
+ * Only bare URLs are affected; [text](url) links keep their own text.
+ */
+
+const { mapDocument } = require('./markdown');
+
+function domainOf(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '') || url;
+    } catch (err) {
+        return url;
+    }
+}
+
+/**
+ * Applies options.bareUrls to the bare links in `blocks` and returns the
+ * new block list.
+ */
+function applyUrlPolicy(blocks, options) {
+    const policy = options.bareUrls;
+    if (policy === 'linkify') return blocks;
+
+    const urls = [];
+    const mapped = mapDocument(blocks, {
+        inline: (node) => {
+            if (node.type !== 'link' || !node.bare) return node;
+            const domain = domainOf(node.url);
+            if (policy === 'domain') return { type: 'link', url: node.url, children: [{ type: 'text', value: domain }] };
+            if (!urls.includes(node.url)) urls.push(node.url);
+            return { type: 'text', value: domain + ' [' + (urls.indexOf(node.url) + 1) + ']' };
+        },
+    });
+    if (urls.length === 0) return mapped;
+    return [
+        ...mapped,
+        { type: 'paragraph', tight: false, children: [{ type: 'strong', children: [{ type: 'text', value: 'Links' }] }] },
+        {
+            type: 'list',
+            ordered: true,
+            start: 1,
+            depth: 0,
+            tight: true,
+            items: urls.map(url => ({
+                children: [{ type: 'link', url, bare: true, children: [{ type: 'text', value: url }] }],
+                checked: null,
+                lists: [],
+            })),
+        },
+    ];
+}
+
+module.exports = { applyUrlPolicy };
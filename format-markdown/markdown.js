@@ -0,0 +1,805 @@
+/**
+ * Markdown document tree for format-markdown
+ *
+ * Parses LLM markdown once into a small tree that every channel renderer
+ * walks, so nested emphasis, emphasis inside links and intraword `*` behave
+ * the same on every channel. Covers the subset LLMs actually emit rather
+ * than full CommonMark.
+ *
+ * Blocks:  heading, paragraph, code, table, list, blockquote, thematicBreak,
+ *          math ($$...$$ display math)
+ * Inlines: text, strong, emphasis, delete, spoiler (||text||), inlineCode, link,
+ *          image { url, alt }, math ($...$), and mention { kind, id } from
+ *          tokens.js
+ *
+ * Every block carries `tight: true` when it followed the previous block
+ * without a blank line, so renderers can keep the original spacing.
+ *
+ * A list is { ordered, start, depth, items }; each item holds its inlines,
+ * `checked` (true/false for GFM task items, null otherwise) and the lists
+ * nested under it, whose depth is one more than the parent's.
+ *
+ * Reference definitions ([1]: url) are resolved while parsing, so
+ * [text][1], [text][] and [1] come out as ordinary links. Footnotes ([^1])
+ * become superscript numbers, in order of first use, and their text is
+ * collected into a "Notes" list at the end of the document.
+ */
+
+const FENCE = /^[\t ]*(`{3,}|~{3,})[\t ]*([\w+#.-]*)[^`]*$/;
+const HEADING = /^ {0,3}(#{1,6})[\t ]+(.*?)(?:[\t ]+#+)?[\t ]*$/;
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[\t ]*\1){2,}[\t ]*$/;
+const LIST_ITEM = /^([\t ]*)([-*+]|(\d{1,9})[.)])[\t ]+(.*)$/;
+const TASK = /^\[([ xX])\][\t ]+/;
+const QUOTE = /^ {0,3}> ?(.*)$/;
+const MATH_BLOCK = /^[\t ]*\$\$(.*)$/;
+const TABLE_ROW = /^[\t ]*\|.*\|[\t ]*$/;
+const TABLE_SEPARATOR = /^[\t ]*\|[\t :|-]*-[\t :|-]*\|[\t ]*$/;
+const BARE_URL = /^https?:\/\/[^\s<>\[\]()]+/;
+const LINK_DEFINITION = /^ {0,3}\[([^\]^][^\]]*)\]:[\t ]*<?([^\s<>]+)>?(?:[\t ]+(?:"[^"]*"|'[^']*'|\([^)]*\)))?[\t ]*$/;
+const FOOTNOTE_DEFINITION = /^ {0,3}\[\^([^\]\s]+)\]:[\t ]*(.*)$/;
+const FOOTNOTE_REFERENCE = /^\[\^([^\]\s]+)\]/;
+const SUPERSCRIPT_DIGITS = ['\u2070', '\u00B9', '\u00B2', '\u00B3', '\u2074', '\u2075', '\u2076', '\u2077', '\u2078', '\u2079'];
+const ESCAPABLE = /[!-\/:-@\[-`{-~]/;
+const WORD = /[\p{L}\p{N}_]/u;
+const SPACE = /\s/;
+const DELIMITERS = '*_~|';
+
+// --- Blocks ---
+
+function isBlank(line) {
+    return line.trim() === '';
+}
+
+function startsBlock(lines, i) {
+    const line = lines[i];
+    return FENCE.test(line) || HEADING.test(line) || THEMATIC_BREAK.test(line)
+        || startsList(line) || QUOTE.test(line) || isTableStart(lines, i) || parseMathBlock(lines, i) !== null;
+}
+
+// Like CommonMark, only an ordered list starting at 1 may interrupt a
+// paragraph, so a line such as "2024. was a good year" stays text.
+function startsList(line) {
+    const item = LIST_ITEM.exec(line);
+    return item !== null && (item[3] === undefined || Number(item[3]) === 1);
+}
+
+function isTableStart(lines, i) {
+    return TABLE_ROW.test(lines[i]) && i + 1 < lines.length && TABLE_SEPARATOR.test(lines[i + 1]);
+}
+
+function splitRow(line) {
+    const cells = [];
+    let cell = '';
+    let inCode = false;
+    const body = line.trim().slice(1, -1);
+    for (let i = 0; i < body.length; i++) {
+        const ch = body[i];
+        if (ch === '\\' && body[i + 1] === '|') {
+            cell += '|';
+            i++;
+        } else if (ch === '`') {
+            inCode = !inCode;
+            cell += ch;
+        } else if (ch === '|' && !inCode) {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+function parseAlignments(separator) {
+    return splitRow(separator).map(cell => {
+        const left = cell.startsWith(':');
+        const right = cell.endsWith(':');
+        if (left && right) return 'center';
+        if (right) return 'right';
+        return 'left';
+    });
+}
+
+function parseTable(lines, i, refs) {
+    const headers = splitRow(lines[i]);
+    const aligns = parseAlignments(lines[i + 1]);
+    const rows = [];
+    let j = i + 2;
+    while (j < lines.length && TABLE_ROW.test(lines[j])) {
+        const cells = splitRow(lines[j]);
+        rows.push(headers.map((_h, c) => parseInline(cells[c] || '', refs)));
+        j++;
+    }
+    const node = {
+        type: 'table',
+        headers: headers.map(h => parseInline(h, refs)),
+        aligns: headers.map((_h, c) => aligns[c] || 'left'),
+        rows,
+    };
+    return { node, end: j };
+}
+
+// Display math from a line starting with $$ to the next line ending with
+// $$ (possibly the same one). Returns null when it is never closed.
+function parseMathBlock(lines, i) {
+    const open = MATH_BLOCK.exec(lines[i]);
+    if (!open) return null;
+    const body = [open[1]];
+    let j = i;
+    while (!body[body.length - 1].trimEnd().endsWith('$$')) {
+        j++;
+        if (j >= lines.length) return null;
+        body.push(lines[j]);
+    }
+    const last = body.length - 1;
+    body[last] = body[last].trimEnd().slice(0, -2);
+    return { node: { type: 'math', value: body.join('\n').trim() }, end: j + 1 };
+}
+
+function indentWidth(whitespace) {
+    return whitespace.replace(/\t/g, '    ').length;
+}
+
+function parseListItem(line) {
+    const match = LIST_ITEM.exec(line);
+    const task = TASK.exec(match[4]);
+    return {
+        indent: indentWidth(match[1]),
+        ordered: match[3] !== undefined,
+        number: match[3] === undefined ? 1 : Number(match[3]),
+        checked: task ? task[1] !== ' ' : null,
+        lines: [task ? match[4].slice(task[0].length) : match[4]],
+    };
+}
+
+// Builds lists from consecutive item lines. Items indented deeper than the
+// first one nest under the item before them; a switch between bullets and
+// numbers at the same level starts a new list.
+function buildLists(entries, depth, refs) {
+    const lists = [];
+    const level = entries[0].indent;
+    let i = 0;
+    while (i < entries.length) {
+        const entry = entries[i];
+        let list = lists[lists.length - 1];
+        if (!list || list.ordered !== entry.ordered) {
+            list = { type: 'list', ordered: entry.ordered, start: entry.number, depth, items: [] };
+            lists.push(list);
+        }
+        let j = i + 1;
+        while (j < entries.length && entries[j].indent > level) j++;
+        list.items.push({
+            children: parseInline(entry.lines.join('\n'), refs),
+            checked: entry.checked,
+            lists: j > i + 1 ? buildLists(entries.slice(i + 1, j), depth + 1, refs) : [],
+        });
+        i = j;
+    }
+    return lists;
+}
+
+function normalizeLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Takes reference and footnote definitions out of the lines, outside code
+// blocks. A footnote runs on over the indented lines below it.
+function collectDefinitions(lines) {
+    const kept = [];
+    const links = new Map();
+    const footnotes = new Map();
+    let fence = null;
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (fence) {
+            if (isClosingFence(line, fence)) fence = null;
+            kept.push(line);
+            continue;
+        }
+        const open = FENCE.exec(line);
+        if (open) {
+            fence = open[1];
+            kept.push(line);
+            continue;
+        }
+        const link = LINK_DEFINITION.exec(line);
+        if (link) {
+            const label = normalizeLabel(link[1]);
+            if (!links.has(label)) links.set(label, link[2]);
+            continue;
+        }
+        const footnote = FOOTNOTE_DEFINITION.exec(line);
+        if (footnote) {
+            const text = [footnote[2]];
+            while (i + 1 < lines.length && /^(?: {2,}|\t)\S/.test(lines[i + 1])) {
+                text.push(lines[i + 1].trim());
+                i++;
+            }
+            const label = normalizeLabel(footnote[1]);
+            if (!footnotes.has(label)) footnotes.set(label, text.join('\n'));
+            continue;
+        }
+        kept.push(line);
+    }
+    return { lines: kept, links, footnotes };
+}
+
+const NO_DEFINITIONS = { links: new Map(), footnotes: new Map() };
+
+function superscriptNumber(n) {
+    return String(n).split('').map(digit => SUPERSCRIPT_DIGITS[digit]).join('');
+}
+
+// Numbers footnote references in order of first use and appends the notes
+// they point to. Footnotes that are never referenced are left out.
+function addNotes(blocks, refs) {
+    const order = [];
+    const numbered = mapDocument(blocks, {
+        inline: (node) => {
+            if (node.type !== 'footnoteReference') return node;
+            if (!order.includes(node.label)) order.push(node.label);
+            return { type: 'text', value: superscriptNumber(order.indexOf(node.label) + 1) };
+        },
+    });
+    if (order.length === 0) return numbered;
+    // Notes are parsed without footnotes, so a [^x] inside one stays text.
+    const noteRefs = { links: refs.links, footnotes: new Map() };
+    return [
+        ...numbered,
+        { type: 'paragraph', tight: false, children: [{ type: 'strong', children: [{ type: 'text', value: 'Notes' }] }] },
+        {
+            type: 'list',
+            ordered: true,
+            start: 1,
+            depth: 0,
+            tight: true,
+            items: order.map(label => ({ children: parseInline(refs.footnotes.get(label), noteRefs), checked: null, lists: [] })),
+        },
+    ];
+}
+
+function parseMarkdown(text) {
+    const definitions = collectDefinitions(String(text).replace(/\r\n?/g, '\n').split('\n'));
+    const children = parseBlocks(definitions.lines, definitions);
+    return { type: 'document', children: addNotes(children, definitions) };
+}
+
+function parseBlocks(lines, refs) {
+    const children = [];
+    let sawBlank = false;
+    let i = 0;
+
+    const push = (node) => {
+        node.tight = children.length > 0 && !sawBlank;
+        children.push(node);
+        sawBlank = false;
+    };
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (isBlank(line)) {
+            sawBlank = true;
+            i++;
+            continue;
+        }
+
+        const fence = FENCE.exec(line);
+        if (fence) {
+            const marker = fence[1];
+            const body = [];
+            i++;
+            while (i < lines.length && !isClosingFence(lines[i], marker)) {
+                body.push(lines[i]);
+                i++;
+            }
+            i++;
+            push({ type: 'code', lang: fence[2], value: body.join('\n') });
+            continue;
+        }
+
+        const math = parseMathBlock(lines, i);
+        if (math) {
+            push(math.node);
+            i = math.end;
+            continue;
+        }
+
+        if (isTableStart(lines, i)) {
+            const { node, end } = parseTable(lines, i, refs);
+            push(node);
+            i = end;
+            continue;
+        }
+
+        if (THEMATIC_BREAK.test(line)) {
+            push({ type: 'thematicBreak' });
+            i++;
+            continue;
+        }
+
+        const heading = HEADING.exec(line);
+        if (heading) {
+            push({ type: 'heading', depth: heading[1].length, children: parseInline(heading[2], refs) });
+            i++;
+            continue;
+        }
+
+        if (QUOTE.test(line)) {
+            const inner = [];
+            while (i < lines.length && QUOTE.test(lines[i])) {
+                inner.push(QUOTE.exec(lines[i])[1]);
+                i++;
+            }
+            push({ type: 'blockquote', children: parseBlocks(inner, refs) });
+            continue;
+        }
+
+        if (LIST_ITEM.test(line)) {
+            const entries = [];
+            while (i < lines.length && !isBlank(lines[i])) {
+                if (LIST_ITEM.test(lines[i]) && !THEMATIC_BREAK.test(lines[i])) {
+                    entries.push(parseListItem(lines[i]));
+                } else if (startsBlock(lines, i)) {
+                    break;
+                } else {
+                    entries[entries.length - 1].lines.push(lines[i].trim());
+                }
+                i++;
+            }
+            buildLists(entries, 0, refs).forEach(push);
+            continue;
+        }
+
+        const para = [line.trimStart()];
+        i++;
+        while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines, i)) {
+            para.push(lines[i].trimStart());
+            i++;
+        }
+        push({ type: 'paragraph', children: parseInline(para.join('\n'), refs) });
+    }
+
+    return children;
+}
+
+function isClosingFence(line, marker) {
+    const trimmed = line.trim();
+    return trimmed.length >= marker.length && trimmed === marker[0].repeat(trimmed.length);
+}
+
+// --- Inlines ---
+
+function runLength(src, i) {
+    let n = 0;
+    while (src[i + n] === src[i]) n++;
+    return n;
+}
+
+function matchCodeSpan(src, i) {
+    const n = runLength(src, i);
+    let j = i + n;
+    while (j < src.length) {
+        if (src[j] === '`') {
+            const m = runLength(src, j);
+            if (m === n) {
+                let value = src.slice(i + n, j);
+                if (value.length > 2 && value.startsWith(' ') && value.endsWith(' ') && value.trim()) {
+                    value = value.slice(1, -1);
+                }
+                return { value, end: j + m };
+            }
+            j += m;
+        } else {
+            j++;
+        }
+    }
+    return null;
+}
+
+// Returns the index of the ] closing the bracket at i, or -1.
+function findLabelEnd(src, i) {
+    let depth = 0;
+    let j = i;
+    for (; j < src.length; j++) {
+        const ch = src[j];
+        if (ch === '\\') {
+            j++;
+        } else if (ch === '`') {
+            const span = matchCodeSpan(src, j);
+            if (span) j = span.end - 1;
+        } else if (ch === '[') {
+            depth++;
+        } else if (ch === ']') {
+            depth--;
+            if (depth === 0) break;
+        }
+    }
+    return depth === 0 ? j : -1;
+}
+
+// [text][ref], [text][] or [ref], when ref is defined.
+function matchReference(src, i, labelEnd, refs) {
+    const label = src.slice(i + 1, labelEnd);
+    let ref = label;
+    let end = labelEnd + 1;
+    if (src[end] === '[') {
+        const close = src.indexOf(']', end);
+        if (close !== -1 && !src.slice(end + 1, close).includes('[')) {
+            ref = src.slice(end + 1, close) || label;
+            end = close + 1;
+        }
+    }
+    const url = refs.links.get(normalizeLabel(ref));
+    return url === undefined ? null : { label, url, end };
+}
+
+function matchLink(src, i, refs = NO_DEFINITIONS) {
+    const labelEnd = findLabelEnd(src, i);
+    if (labelEnd === -1) return null;
+    if (src[labelEnd + 1] !== '(') return matchReference(src, i, labelEnd, refs);
+
+    let k = labelEnd + 2;
+    let parens = 0;
+    for (; k < src.length; k++) {
+        const ch = src[k];
+        if (ch === '\\') {
+            k++;
+        } else if (ch === '(') {
+            parens++;
+        } else if (ch === ')') {
+            if (parens === 0) break;
+            parens--;
+        } else if (ch === '\n') {
+            return null;
+        }
+    }
+    if (k >= src.length) return null;
+
+    let dest = src.slice(labelEnd + 2, k).trim();
+    if (dest.startsWith('<')) {
+        dest = dest.slice(1, dest.indexOf('>') === -1 ? undefined : dest.indexOf('>'));
+    } else {
+        dest = dest.split(/\s+/)[0];
+    }
+    // A destination may escape its parentheses: (http://x.com/a\)b).
+    dest = dest.replace(/\\([!-\/:-@\[-`{-~])/g, '$1');
+
+    return { label: src.slice(i + 1, labelEnd), url: dest, end: k + 1 };
+}
+
+function isWordAt(src, i) {
+    return i >= 0 && i < src.length && WORD.test(src[i]);
+}
+
+function isSpaceAt(src, i) {
+    return i < 0 || i >= src.length || SPACE.test(src[i]);
+}
+
+// `_` and single `*` never open or close inside a word (snake_case, 2*3*4).
+function needsWordBoundary(ch, n) {
+    return ch === '_' || n === 1;
+}
+
+function canOpen(src, i, n) {
+    if (isSpaceAt(src, i + n)) return false;
+    return !(needsWordBoundary(src[i], n) && isWordAt(src, i - 1));
+}
+
+function canClose(src, j, n) {
+    if (isSpaceAt(src, j - 1)) return false;
+    return !(needsWordBoundary(src[j], n) && isWordAt(src, j + n));
+}
+
+// Scans for closers in one source string share `closers`. A scan that
+// reaches the delimiter run at position j looking for an n-closer finds the
+// same closer whichever run it started from, so `landed` keeps that answer
+// per (j, n). Without it, skipping nested runs rescans the rest of a line of
+// unmatched runs (`*.js, *.ts, ...`) once per run at every level, in
+// exponential time. Openers are primed right to left, down to the first
+// position asked about, so the recursion into nested runs stays shallow.
+function createClosers(src) {
+    return { landed: new Map(), primed: src.length };
+}
+
+function findCloser(src, from, ch, n, refs, closers) {
+    while (closers.primed > from) {
+        const j = --closers.primed;
+        if (!DELIMITERS.includes(src[j]) || src[j - 1] === src[j]) continue;
+        const m = runLength(src, j);
+        if (canOpen(src, j, m)) scanCloser(src, j + m, src[j], m, refs, closers);
+    }
+    return scanCloser(src, from, ch, n, refs, closers);
+}
+
+function scanCloser(src, from, ch, n, refs, closers) {
+    const passed = [];
+    let found = -1;
+    let j = from;
+    while (j < src.length) {
+        const c = src[j];
+        if (c === '\\') {
+            j += 2;
+        } else if (c === '`') {
+            const span = matchCodeSpan(src, j);
+            j = span ? span.end : j + runLength(src, j);
+        } else if (c === '[') {
+            const link = matchLink(src, j, refs);
+            j = link ? link.end : j + 1;
+        } else if (c === ch) {
+            const key = j + ':' + n;
+            if (j > from) {
+                if (closers.landed.has(key)) {
+                    found = closers.landed.get(key);
+                    break;
+                }
+                passed.push(key);
+            }
+            const m = runLength(src, j);
+            // Closers longer than the opener close the innermost span first,
+            // so `**bold *it***` keeps the last two stars for the bold.
+            const at = j + m - n;
+            if (m >= n && at > from && !isSpaceAt(src, j - 1) && canClose(src, at, n)) {
+                found = at;
+                break;
+            }
+            // A run that opens a span of its own, as in `*it **bold** it*`,
+            // is skipped along with that span, which closes with the first
+            // stars of its closing run.
+            let inner = canOpen(src, j, m) ? findCloser(src, j + m, ch, m, refs, closers) : -1;
+            if (inner === -1) {
+                j += m;
+            } else {
+                while (inner > j + m && src[inner - 1] === ch) inner--;
+                j = inner + m;
+            }
+        } else {
+            j++;
+        }
+    }
+    for (const key of passed) closers.landed.set(key, found);
+    return found;
+}
+
+// $math$ needs a non-space after the opener and before the closer, no digit
+// right after the closer and no other $ inside, so "$5 or $10" stays text.
+// $$...$$ inside a paragraph is inline math too.
+function matchMath(src, i) {
+    const n = src[i + 1] === '$' ? 2 : 1;
+    const start = i + n;
+    if (start >= src.length || SPACE.test(src[start])) return null;
+    for (let j = start + 1; j < src.length; j++) {
+        if (src[j] === '\\') {
+            j++;
+        } else if (src[j] === '$' && src.startsWith('$'.repeat(n), j)) {
+            if (!SPACE.test(src[j - 1]) && !/[0-9]/.test(src[j + n] || '')) {
+                return { node: { type: 'math', value: src.slice(start, j) }, end: j + n };
+            }
+            // A lone $ that cannot close is a price, not math.
+            if (n === 1) return null;
+        }
+    }
+    return null;
+}
+
+function matchDelimited(src, i, refs, closers) {
+    const ch = src[i];
+    const n = runLength(src, i);
+    if (ch === '~' || ch === '|' ? n !== 2 : n > 3) return null;
+    if (!canOpen(src, i, n)) return null;
+
+    const at = findCloser(src, i + n, ch, n, refs, closers);
+    if (at === -1) return null;
+
+    const children = parseInline(src.slice(i + n, at), refs);
+    let node;
+    if (ch === '~') node = { type: 'delete', children };
+    else if (ch === '|') node = { type: 'spoiler', children };
+    else if (n === 1) node = { type: 'emphasis', children };
+    else if (n === 2) node = { type: 'strong', children };
+    else node = { type: 'strong', children: [{ type: 'emphasis', children }] };
+    return { node, end: at + n };
+}
+
+function parseInline(src, refs = NO_DEFINITIONS) {
+    const nodes = [];
+    const closers = createClosers(src);
+    let buf = '';
+    let i = 0;
+
+    const flush = () => {
+        if (buf) nodes.push({ type: 'text', value: buf });
+        buf = '';
+    };
+    const emit = (node, end) => {
+        flush();
+        nodes.push(node);
+        i = end;
+    };
+
+    while (i < src.length) {
+        const ch = src[i];
+
+        if (ch === '\\' && i + 1 < src.length && ESCAPABLE.test(src[i + 1])) {
+            buf += src[i + 1];
+            i += 2;
+            continue;
+        }
+
+        if (ch === '`') {
+            const span = matchCodeSpan(src, i);
+            if (span) {
+                emit({ type: 'inlineCode', value: span.value }, span.end);
+            } else {
+                const n = runLength(src, i);
+                buf += src.slice(i, i + n);
+                i += n;
+            }
+            continue;
+        }
+
+        if (ch === '!' && src[i + 1] === '[') {
+            const image = matchLink(src, i + 1, refs);
+            if (image) {
+                emit({ type: 'image', url: image.url, alt: inlineText(parseInline(image.label, refs)) }, image.end);
+                continue;
+            }
+        }
+
+        if (ch === '[') {
+            const footnote = FOOTNOTE_REFERENCE.exec(src.slice(i));
+            if (footnote && refs.footnotes.has(normalizeLabel(footnote[1]))) {
+                emit({ type: 'footnoteReference', label: normalizeLabel(footnote[1]) }, i + footnote[0].length);
+                continue;
+            }
+            const link = matchLink(src, i, refs);
+            if (link) {
+                emit({ type: 'link', url: link.url, children: parseInline(link.label, refs) }, link.end);
+                continue;
+            }
+        }
+
+        if (ch === 'h' && !isWordAt(src, i - 1)) {
+            const bare = BARE_URL.exec(src.slice(i));
+            if (bare) {
+                const url = bare[0].replace(/[.,;:!?'"]+$/, '');
+                emit({ type: 'link', url, bare: true, children: [{ type: 'text', value: url }] }, i + url.length);
+                continue;
+            }
+        }
+
+        if (ch === '$') {
+            const math = matchMath(src, i);
+            if (math) {
+                emit(math.node, math.end);
+                continue;
+            }
+        }
+
+        if (ch === '*' || ch === '_' || ch === '~' || ch === '|') {
+            const span = matchDelimited(src, i, refs, closers);
+            if (span) {
+                emit(span.node, span.end);
+            } else {
+                const n = runLength(src, i);
+                buf += src.slice(i, i + n);
+                i += n;
+            }
+            continue;
+        }
+
+        buf += ch;
+        i++;
+    }
+
+    flush();
+    return nodes;
+}
+
+// --- Helpers for renderers ---
+
+function inlineText(nodes) {
+    return nodes.map(node => {
+        if (node.type === 'text' || node.type === 'inlineCode') return node.value;
+        return node.children ? inlineText(node.children) : '';
+    }).join('');
+}
+
+function mapText(nodes, fn) {
+    return nodes.map(node => {
+        if (node.type === 'text') return { ...node, value: fn(node.value) };
+        return node.children ? { ...node, children: mapText(node.children, fn) } : node;
+    });
+}
+
+// Link text for channels without link markup, per the linkStyle option.
+function linkText(label, node, style) {
+    if (node.bare || label === node.url || style === 'url') return node.url;
+    if (style === 'label') return label;
+    return label + ' (' + node.url + ')';
+}
+
+/**
+ * Rebuilds a block list, passing every block through `block` and every
+ * inline node through `inline` before descending into what they return, so
+ * either may replace a node with one of another type. `inline` may also
+ * return an array, to replace one node with several.
+ */
+function mapDocument(blocks, { block = (b) => b, inline = (n) => n }) {
+    const inlines = (nodes) => nodes.flatMap(node => [].concat(inline(node)).map(mapped =>
+        (mapped.children ? { ...mapped, children: inlines(mapped.children) } : mapped)));
+    const walk = (original) => {
+        const b = block(original);
+        switch (b.type) {
+            case 'heading':
+            case 'paragraph':
+                return { ...b, children: inlines(b.children) };
+            case 'table':
+                return { ...b, headers: b.headers.map(inlines), rows: b.rows.map(row => row.map(inlines)) };
+            case 'list':
+                return {
+                    ...b,
+                    items: b.items.map(item => ({ ...item, children: inlines(item.children), lists: item.lists.map(walk) })),
+                };
+            case 'blockquote':
+                return { ...b, children: b.children.map(walk) };
+            default:
+                return b;
+        }
+    };
+    return blocks.map(walk);
+}
+
+const NESTED_BULLETS = ['\u25E6', '\u25AA'];
+const TASK_BOXES = ['\u2610', '\u2611'];
+const LIST_INDENT = '   ';
+
+/**
+ * Lays out a list as lines, nested lists included. `renderItem` turns an
+ * item's inlines into channel text and `escape` makes a marker safe for the
+ * channel. Top-level bullets use `bullet` and deeper levels cycle through
+ * NESTED_BULLETS; ordered lists count up from their start, task items show
+ * a checkbox, and each level is indented one step further.
+ */
+function renderList(list, bullet, renderItem, escape = (s) => s) {
+    const indent = LIST_INDENT.repeat(list.depth);
+    return list.items.map((item, i) => {
+        let marker = list.ordered ? (list.start + i) + '.'
+            : list.depth === 0 ? bullet : NESTED_BULLETS[(list.depth - 1) % NESTED_BULLETS.length];
+        if (item.checked !== null) {
+            const box = TASK_BOXES[Number(item.checked)];
+            marker = list.ordered ? marker + ' ' + box : box;
+        }
+        const hang = '\n' + indent + ' '.repeat(marker.length + 1);
+        const lines = [indent + escape(marker) + ' ' + renderItem(item.children).split('\n').join(hang)];
+        for (const nested of item.lists) lines.push(renderList(nested, bullet, renderItem, escape));
+        return lines.join('\n');
+    }).join('\n');
+}
+
+function prefixLines(text, prefix) {
+    return text.split('\n').map(line => (prefix + line).trimEnd()).join('\n');
+}
+
+// Renderers return null for blocks they drop (thematic breaks); the block
+// after a dropped one is always set off by a blank line.
+function joinBlocks(blocks, render) {
+    let out = '';
+    let dropped = false;
+    for (const block of blocks) {
+        const rendered = render(block);
+        if (rendered === null) {
+            dropped = true;
+            continue;
+        }
+        if (out) out += block.tight && !dropped ? '\n' : '\n\n';
+        out += rendered;
+        dropped = false;
+    }
+    return out;
+}
+
+module.exports = {
+    parseMarkdown, parseInline, inlineText, mapText, mapDocument, linkText, renderList, prefixLines, joinBlocks,
+};
@@ -0,0 +1,317 @@
+/**
+ * LaTeX math for format-markdown
+ *
+ * No chat channel renders LaTeX, so $...$ and $$...$$ math is rewritten as
+ * Unicode: Greek letters, operators and relations become their symbols,
+ * ^{...} and _{...} become super- and subscript characters (or ^(...) where
+ * Unicode has none), \frac{a}{b} becomes a⁄b and \sqrt{x} becomes √x.
+ * Inline math then reads as text; display math goes into a monospace block.
+ *
+ * Math that does not convert cleanly (an unknown command, an environment,
+ * unbalanced braces) is left verbatim inside code rather than half
+ * converted. With the `math` option set to 'raw' (the default on
+ * Discord) math stays exactly as written.
+ */
+
+const { mapDocument } = require('./markdown');
+
+const SYMBOLS = {
+    // Greek
+    alpha: '\u03B1', beta: '\u03B2', gamma: '\u03B3', delta: '\u03B4', epsilon: '\u03F5',
+    varepsilon: '\u03B5', zeta: '\u03B6', eta: '\u03B7', theta: '\u03B8', vartheta: '\u03D1',
+    iota: '\u03B9', kappa: '\u03BA', lambda: '\u03BB', mu: '\u03BC', nu: '\u03BD', xi: '\u03BE',
+    omicron: '\u03BF', pi: '\u03C0', varpi: '\u03D6', rho: '\u03C1', varrho: '\u03F1',
+    sigma: '\u03C3', varsigma: '\u03C2', tau: '\u03C4', upsilon: '\u03C5', phi: '\u03D5',
+    varphi: '\u03C6', chi: '\u03C7', psi: '\u03C8', omega: '\u03C9',
+    Gamma: '\u0393', Delta: '\u0394', Theta: '\u0398', Lambda: '\u039B', Xi: '\u039E',
+    Pi: '\u03A0', Sigma: '\u03A3', Upsilon: '\u03A5', Phi: '\u03A6', Psi: '\u03A8', Omega: '\u03A9',
+    // Big operators
+    sum: '\u2211', prod: '\u220F', coprod: '\u2210', int: '\u222B', iint: '\u222C',
+    iiint: '\u222D', oint: '\u222E', bigcup: '\u22C3', bigcap: '\u22C2',
+    // Binary operators
+    times: '\u00D7', cdot: '\u22C5', div: '\u00F7', pm: '\u00B1', mp: '\u2213', ast: '\u2217',
+    star: '\u22C6', circ: '\u2218', bullet: '\u2219', oplus: '\u2295', otimes: '\u2297',
+    cup: '\u222A', cap: '\u2229', setminus: '\u2216', wedge: '\u2227', vee: '\u2228',
+    land: '\u2227', lor: '\u2228', neg: '\u00AC', lnot: '\u00AC',
+    // Relations
+    leq: '\u2264', le: '\u2264', geq: '\u2265', ge: '\u2265', neq: '\u2260', ne: '\u2260',
+    approx: '\u2248', equiv: '\u2261', sim: '\u223C', simeq: '\u2243', cong: '\u2245',
+    propto: '\u221D', ll: '\u226A', gg: '\u226B', in: '\u2208', notin: '\u2209', ni: '\u220B',
+    subset: '\u2282', subseteq: '\u2286', supset: '\u2283', supseteq: '\u2287',
+    perp: '\u22A5', parallel: '\u2225', mid: '\u2223', models: '\u22A8', vdash: '\u22A2',
+    // Arrows
+    to: '\u2192', rightarrow: '\u2192', leftarrow: '\u2190', gets: '\u2190',
+    leftrightarrow: '\u2194', Rightarrow: '\u21D2', Leftarrow: '\u21D0',
+    Leftrightarrow: '\u21D4', implies: '\u27F9', iff: '\u27FA', mapsto: '\u21A6',
+    uparrow: '\u2191', downarrow: '\u2193', longrightarrow: '\u27F6', longleftarrow: '\u27F5',
+    // Other symbols
+    infty: '\u221E', partial: '\u2202', nabla: '\u2207', forall: '\u2200', exists: '\u2203',
+    nexists: '\u2204', emptyset: '\u2205', varnothing: '\u2205', angle: '\u2220',
+    degree: '\u00B0', prime: '\u2032', hbar: '\u210F', ell: '\u2113', Re: '\u211C', Im: '\u2111',
+    aleph: '\u2135', ldots: '\u2026', dots: '\u2026', cdots: '\u22EF', vdots: '\u22EE',
+    ddots: '\u22F1', therefore: '\u2234', because: '\u2235', top: '\u22A4', bot: '\u22A5',
+    langle: '\u27E8', rangle: '\u27E9', lfloor: '\u230A', rfloor: '\u230B',
+    lceil: '\u2308', rceil: '\u2309', vert: '|', Vert: '\u2016', lvert: '|', rvert: '|',
+    // Spacing
+    quad: ' ', qquad: '  ',
+};
+
+const FUNCTIONS = [
+    'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh',
+    'log', 'ln', 'lg', 'exp', 'lim', 'max', 'min', 'sup', 'inf', 'det', 'dim', 'gcd', 'deg',
+    'arg', 'ker', 'Pr', 'mod', 'bmod',
+];
+
+const SPACING = { ',': ' ', ';': ' ', ':': ' ', '!': '', ' ': ' ' };
+
+const TEXT_COMMANDS = [
+    'text', 'textrm', 'textbf', 'textit', 'mathrm', 'mathbf', 'mathit', 'mathsf', 'mathtt',
+    'operatorname', 'boldsymbol', 'mbox',
+];
+
+const ACCENTS = {
+    bar: '\u0304', overline: '\u0305', hat: '\u0302', widehat: '\u0302', tilde: '\u0303',
+    widetilde: '\u0303', vec: '\u20D7', dot: '\u0307', ddot: '\u0308',
+};
+
+const DOUBLE_STRUCK = { C: '\u2102', H: '\u210D', N: '\u2115', P: '\u2119', Q: '\u211A', R: '\u211D', Z: '\u2124' };
+
+const SUPERSCRIPTS = {
+    '0': '\u2070', '1': '\u00B9', '2': '\u00B2', '3': '\u00B3', '4': '\u2074', '5': '\u2075',
+    '6': '\u2076', '7': '\u2077', '8': '\u2078', '9': '\u2079', '+': '\u207A', '-': '\u207B',
+    '\u2212': '\u207B', '=': '\u207C', '(': '\u207D', ')': '\u207E',
+    a: '\u1D43', b: '\u1D47', c: '\u1D9C', d: '\u1D48', e: '\u1D49', f: '\u1DA0', g: '\u1D4D',
+    h: '\u02B0', i: '\u2071', j: '\u02B2', k: '\u1D4F', l: '\u02E1', m: '\u1D50', n: '\u207F',
+    o: '\u1D52', p: '\u1D56', r: '\u02B3', s: '\u02E2', t: '\u1D57', u: '\u1D58', v: '\u1D5B',
+    w: '\u02B7', x: '\u02E3', y: '\u02B8', z: '\u1DBB',
+    A: '\u1D2C', B: '\u1D2E', D: '\u1D30', E: '\u1D31', G: '\u1D33', H: '\u1D34', I: '\u1D35',
+    J: '\u1D36', K: '\u1D37', L: '\u1D38', M: '\u1D39', N: '\u1D3A', O: '\u1D3C', P: '\u1D3E',
+    R: '\u1D3F', T: '\u1D40', U: '\u1D41', V: '\u2C7D', W: '\u1D42',
+    '\u03B1': '\u1D45', '\u03B2': '\u1D5D', '\u03B3': '\u1D5E', '\u03B4': '\u1D5F',
+    '\u03B8': '\u1DBF', '\u03C6': '\u1D60', '\u03D5': '\u1D60', '\u03C7': '\u1D61',
+    '\u2032': '\u2032', '\u2218': '\u00B0',
+};
+
+const SUBSCRIPTS = {
+    '0': '\u2080', '1': '\u2081', '2': '\u2082', '3': '\u2083', '4': '\u2084', '5': '\u2085',
+    '6': '\u2086', '7': '\u2087', '8': '\u2088', '9': '\u2089', '+': '\u208A', '-': '\u208B',
+    '\u2212': '\u208B', '=': '\u208C', '(': '\u208D', ')': '\u208E',
+    a: '\u2090', e: '\u2091', h: '\u2095', i: '\u1D62', j: '\u2C7C', k: '\u2096', l: '\u2097',
+    m: '\u2098', n: '\u2099', o: '\u2092', p: '\u209A', r: '\u1D63', s: '\u209B', t: '\u209C',
+    u: '\u1D64', v: '\u1D65', x: '\u2093',
+    '\u03B2': '\u1D66', '\u03B3': '\u1D67', '\u03C1': '\u1D68', '\u03C6': '\u1D69', '\u03D5': '\u1D69',
+    '\u03C7': '\u1D6A',
+};
+
+// Thrown for anything without a faithful Unicode form.
+class Unconvertible extends Error {}
+
+function toScript(text, table) {
+    let out = '';
+    for (const ch of text.replace(/\s+/g, '')) {
+        if (!table[ch]) throw new Unconvertible('no script form for ' + ch);
+        out += table[ch];
+    }
+    return out;
+}
+
+// Unicode has script forms for few symbols; for the rest (e^{i\pi},
+// \lim_{x \to 0}) the plain-text notation e^(iπ) reads better than code.
+function script(text, table, marker) {
+    try {
+        return toScript(text, table);
+    } catch (err) {
+        if (!(err instanceof Unconvertible)) throw err;
+        const body = text.trim();
+        return marker + ([...body].length === 1 ? body : '(' + body + ')');
+    }
+}
+
+// Fraction and root operands longer than one symbol get parentheses.
+function operand(text) {
+    return /^(?:[\p{L}\p{N}.]+|\(.*\))$/u.test(text) ? text : '(' + text + ')';
+}
+
+function radical(index, body) {
+    if (index === '' || index === '2') return '\u221A' + operand(body);
+    if (index === '3') return '\u221B' + operand(body);
+    if (index === '4') return '\u221C' + operand(body);
+    return toScript(index, SUPERSCRIPTS) + '\u221A' + operand(body);
+}
+
+function convertLatex(src) {
+    let i = 0;
+
+    const readCommand = () => {
+        i++;
+        const name = /^[a-zA-Z]+/.exec(src.slice(i));
+        if (!name) return src[i++];
+        i += name[0].length;
+        return name[0];
+    };
+
+    const skipSpace = () => {
+        while (i < src.length && /\s/.test(src[i])) i++;
+    };
+
+    // One argument: a {group} or a single token.
+    const readArg = () => {
+        skipSpace();
+        if (i >= src.length) throw new Unconvertible('missing argument');
+        if (src[i] === '{') {
+            i++;
+            const inner = readSequence('}');
+            i++;
+            return inner;
+        }
+        return readToken();
+    };
+
+    const readOptional = () => {
+        skipSpace();
+        if (src[i] !== '[') return '';
+        const end = src.indexOf(']', i);
+        if (end === -1) throw new Unconvertible('unclosed [');
+        const inner = convertLatex(src.slice(i + 1, end));
+        i = end + 1;
+        return inner;
+    };
+
+    const readRawArg = () => {
+        skipSpace();
+        if (src[i] !== '{') return readToken();
+        const end = src.indexOf('}', i);
+        if (end === -1) throw new Unconvertible('unclosed {');
+        const inner = src.slice(i + 1, end);
+        i = end + 1;
+        return inner;
+    };
+
+    const command = (name) => {
+        if (name in SPACING) return SPACING[name];
+        if (name.length === 1) {
+            if ('{}$%&#_|'.includes(name)) return name;
+            if (name === '\\') return '\n';
+            throw new Unconvertible('unknown escape \\' + name);
+        }
+        if (SYMBOLS[name] !== undefined) return SYMBOLS[name];
+        if (FUNCTIONS.includes(name)) return name;
+        if (TEXT_COMMANDS.includes(name)) return readRawArg().replace(/\\([{}$%&#_ ])/g, '$1');
+        if (ACCENTS[name]) return readArg() + ACCENTS[name];
+        switch (name) {
+            case 'frac':
+            case 'dfrac':
+            case 'tfrac': {
+                const num = readArg();
+                const den = readArg();
+                return operand(num) + '\u2044' + operand(den);
+            }
+            case 'sqrt': {
+                const index = readOptional();
+                return radical(index, readArg());
+            }
+            case 'mathbb': {
+                const letters = readRawArg();
+                return [...letters].map(ch => {
+                    if (!DOUBLE_STRUCK[ch]) throw new Unconvertible('no double-struck ' + ch);
+                    return DOUBLE_STRUCK[ch];
+                }).join('');
+            }
+            case 'left':
+            case 'right':
+            case 'big':
+            case 'Big':
+            case 'bigg':
+            case 'Bigg': {
+                skipSpace();
+                if (src[i] === '.') {
+                    i++;
+                    return '';
+                }
+                return readToken();
+            }
+            case 'limits':
+            case 'nolimits':
+            case 'displaystyle':
+                return '';
+            default:
+                throw new Unconvertible('unknown command \\' + name);
+        }
+    };
+
+    const readToken = () => {
+        const ch = src[i];
+        if (ch === '\\') return command(readCommand());
+        if (ch === '{') {
+            i++;
+            const inner = readSequence('}');
+            i++;
+            return inner;
+        }
+        if (ch === '}') throw new Unconvertible('unbalanced }');
+        i++;
+        if (ch === '-') return '\u2212';
+        if (ch === '*') return '\u2217';
+        if (ch === '\'') return '\u2032';
+        if (ch === '~') return ' ';
+        if (ch === '&') return ' ';
+        return ch;
+    };
+
+    const readSequence = (until) => {
+        let out = '';
+        while (i < src.length && src[i] !== until) {
+            const ch = src[i];
+            if (ch === '^' || ch === '_') {
+                i++;
+                out += script(readArg(), ch === '^' ? SUPERSCRIPTS : SUBSCRIPTS, ch);
+            } else {
+                out += readToken();
+            }
+        }
+        if (until && src[i] !== until) throw new Unconvertible('unclosed {');
+        return out;
+    };
+
+    const out = readSequence(null);
+    return out.split('\n').map(line => line.replace(/[ \t]+/g, ' ').trim()).join('\n').trim();
+}
+
+/**
+ * Converts LaTeX math to Unicode. Returns the converted text, or null when
+ * some part of it has no faithful Unicode form.
+ */
+function latexToUnicode(src) {
+    try {
+        return convertLatex(src);
+    } catch (err) {
+        if (err instanceof Unconvertible) return null;
+        throw err;
+    }
+}
+
+/**
+ * Rewrites the math nodes of a block list for rendering, per
+ * `options.math`: 'unicode' converts them, 'raw' puts back the source.
+ */
+function convertMath(blocks, options) {
+    const raw = options.math === 'raw';
+    return mapDocument(blocks, {
+        block: (block) => {
+            if (block.type !== 'math') return block;
+            if (raw) {
+                return { type: 'paragraph', tight: block.tight, children: [{ type: 'text', value: '$$' + block.value + '$$' }] };
+            }
+            const text = latexToUnicode(block.value);
+            return { type: 'code', tight: block.tight, lang: text === null ? 'latex' : '', value: text === null ? block.value : text };
+        },
+        inline: (node) => {
+            if (node.type !== 'math') return node;
+            if (raw) return { type: 'text', value: '$' + node.value + '$' };
+            const text = latexToUnicode(node.value);
+            return text === null ? { type: 'inlineCode', value: node.value } : { type: 'text', value: text };
+        },
+    });
+}
+
+module.exports = { latexToUnicode, convertMath };
@@ -0,0 +1,49 @@
+/**
+ * Plaintext renderer for format-markdown
+ *
+ * Walks the shared document tree and drops all markup: emphasis and code
+ * keep their text, links follow the linkStyle option (label only by
+ * default), list items get the configured bullet, quotes are indented and
+ * tables become card-style groups (or a grid with tableStyle 'box').
+ * Spoilers are shown as is.
+ */
+
+const { mapText, linkText, renderList, prefixLines, joinBlocks } = require('./markdown');
+const { parseForChannel } = require('./attachments');
+const { renderBoxTable, renderCardTable } = require('./tables');
+const { resolveOptions } = require('./config');
+
+function renderInline(nodes, options) {
+    return nodes.map(node => {
+        if (node.type === 'text' || node.type === 'inlineCode') return node.value;
+        if (node.type === 'link') return linkText(renderInline(node.children, options), node, options.linkStyle);
+        return node.children ? renderInline(node.children, options) : '';
+    }).join('');
+}
+
+function renderBlock(block, options) {
+    switch (block.type) {
+        case 'heading':
+            if (options.headingStyle === 'upper') return renderInline(mapText(block.children, s => s.toUpperCase()), options);
+            return renderInline(block.children, options);
+        case 'paragraph':
+            return renderInline(block.children, options);
+        case 'list':
+            return renderList(block, options.bullet, children => renderInline(children, options));
+        case 'code':
+            return block.value;
+        case 'table':
+            if (options.tableStyle === 'box') return renderBoxTable(block, options);
+            return renderCardTable(block, options);
+        case 'blockquote':
+            return prefixLines(joinBlocks(block.children, child => renderBlock(child, options)), '    ');
+        default:
+            return null;
+    }
+}
+
+function stripMarkdown(text, options = resolveOptions('plaintext')) {
+    return joinBlocks(parseForChannel(text, options), block => renderBlock(block, options)).trimEnd();
+}
+
+module.exports = { stripMarkdown, renderBlock };
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/**
+ * Preview for format-markdown
+ *
+ * Reads markdown on stdin and prints what every channel would send, so the
+ * effect of a formatting change can be seen before it ships:
+ *
+ *   node format-markdown/preview.js < answer.md
+ *   echo '**hi** | there' | node format-markdown/preview.js --side telegram,whatsapp
+ *
+ * Each channel is printed under its own header; with --side the chosen
+ * channels (all by default) are laid out in columns across the terminal.
+ * Messages split by the channel are separated by a "next message" rule, and
+ * the HTML part of Matrix and email follows their text.
+ *
+ * renderChannel() is also what the golden tests (test/golden.test.js)
+ * compare against their fixtures.
+ */
+
+const plugin = require('./index');
+const { displayWidth, graphemes } = require('./tables');
+
+const CHANNELS = ['telegram', 'discord', 'whatsapp', 'slack', 'matrix', 'email', 'plaintext'];
+
+const MESSAGE_RULE = '\u2500\u2500 next message \u2500\u2500';
+const HTML_RULE = '\u2500\u2500 html \u2500\u2500';
+const COLUMN_GAP = ' \u2502 ';
+
+/**
+ * Returns what `channel` would send for `markdown`, as one string.
+ */
+function renderChannel(markdown, channel) {
+    const out = plugin.hooks.transformOutgoing(markdown, { channel });
+    const messages = [].concat(out).map(message => (typeof message === 'string' ? { text: message } : message));
+    const text = messages.map(message => message.text).join('\n' + MESSAGE_RULE + '\n');
+    const metadata = messages[0].metadata || {};
+    const html = metadata.formatted_body || metadata.html;
+    return html ? text + '\n' + HTML_RULE + '\n' + html : text;
+}
+
+// --- Layout ---
+
+function stacked(renderings) {
+    return renderings.map(({ channel, text }) => '\u2550\u2550 ' + channel + ' \u2550\u2550\n' + text).join('\n\n');
+}
+
+// Breaks a line into pieces no wider than `width` columns, between
+// graphemes, so an emoji or a combined character is never cut in half.
+function fold(line, width) {
+    const pieces = [''];
+    let size = 0;
+    for (const g of graphemes(line)) {
+        const w = displayWidth(g);
+        if (size + w > width && pieces[pieces.length - 1]) {
+            pieces.push('');
+            size = 0;
+        }
+        pieces[pieces.length - 1] += g;
+        size += w;
+    }
+    return pieces;
+}
+
+function sideBySide(renderings, totalWidth) {
+    const width = Math.max(10, Math.floor((totalWidth - COLUMN_GAP.length * (renderings.length - 1)) / renderings.length));
+    const columns = renderings.map(({ channel, text }) =>
+        [channel, '\u2550'.repeat(width), ...text.split('\n').flatMap(line => fold(line, width))]);
+    const height = Math.max(...columns.map(column => column.length));
+    const rows = [];
+    for (let i = 0; i < height; i++) {
+        rows.push(columns.map(column => {
+            const cell = column[i] || '';
+            return cell + ' '.repeat(width - displayWidth(cell));
+        }).join(COLUMN_GAP).trimEnd());
+    }
+    return rows.join('\n');
+}
+
+// --- CLI ---
+
+function usage() {
+    return 'usage: preview.js [--side] [channel,...] < input.md\n'
+        + 'channels: ' + CHANNELS.join(', ') + ' (any other name renders as plain text)';
+}
+
+function main(argv) {
+    const side = argv.includes('--side');
+    const rest = argv.filter(arg => arg !== '--side');
+    if (rest.includes('-h') || rest.includes('--help')) {
+        console.log(usage());
+        return;
+    }
+    const channels = rest.length ? rest.join(',').split(',').filter(Boolean) : CHANNELS;
+
+    let input = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => { input += chunk; });
+    process.stdin.on('end', () => {
+        const renderings = channels.map(channel => ({ channel, text: renderChannel(input, channel) }));
+        console.log(side ? sideBySide(renderings, process.stdout.columns || 160) : stacked(renderings));
+    });
+}
+
+if (require.main === module) main(process.argv.slice(2));
+
+module.exports = { renderChannel, CHANNELS };
@@ -0,0 +1,75 @@
+/**
+ * Range output for format-markdown
+ *
+ * Some chat APIs take plain text plus a list of formatting ranges instead of
+ * markup: Telegram's `entities`, Signal's body ranges. A range dialect for
+ * the shared walker in render.js wraps every span in invisible private-use
+ * markers (markRange); extractRanges() removes them again and returns the
+ * bare text with one range per span. There is nothing to escape, so there
+ * is nothing to get wrong.
+ *
+ * Offsets and lengths are in UTF-16 code units, which is what both APIs
+ * count and what JavaScript string indices already are, so an emoji (a
+ * surrogate pair) counts as two.
+ *
+ * markedLength() measures marked-up text as the user will see it, so long
+ * messages are split on their visible length.
+ */
+
+const OPEN = '\uE000';
+const CLOSE = '\uE001';
+const END = '\uE002';
+const MARKERS = /[\uE000-\uE002]/g;
+const MARKUP = /\uE000[^\uE002]*\uE002|\uE001/g;
+
+// Removes marker characters from user text, so input can never forge a range.
+function stripMarkers(text) {
+    return text.replace(MARKERS, '');
+}
+
+function markedLength(marked) {
+    return marked.replace(MARKUP, '').length;
+}
+
+function openMarker(range) {
+    return OPEN + JSON.stringify(range) + END;
+}
+
+// [open, close] marker pair for the walker's span kinds.
+function rangeMarkers(range) {
+    return [openMarker(range), CLOSE];
+}
+
+function markRange(range, body) {
+    return openMarker(range) + body + CLOSE;
+}
+
+/**
+ * Strips the markers from `marked` and returns { text, ranges }. Each range
+ * is { type, offset, length, ...extra } in the order the spans open; empty
+ * ranges are dropped.
+ */
+function extractRanges(marked) {
+    let text = '';
+    const ranges = [];
+    const open = [];
+    for (let i = 0; i < marked.length; i++) {
+        const ch = marked[i];
+        if (ch === OPEN) {
+            const end = marked.indexOf(END, i);
+            const { type, ...extra } = JSON.parse(marked.slice(i + 1, end));
+            const range = { type, offset: text.length, length: 0, ...extra };
+            ranges.push(range);
+            open.push(range);
+            i = end;
+        } else if (ch === CLOSE) {
+            const range = open.pop();
+            range.length = text.length - range.offset;
+        } else {
+            text += ch;
+        }
+    }
+    return { text, ranges: ranges.filter(range => range.length > 0) };
+}
+
+module.exports = { stripMarkers, markedLength, rangeMarkers, markRange, extractRanges };
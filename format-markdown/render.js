@@ -0,0 +1,345 @@
+/**
+ * Dialect-driven rendering and message splitting for format-markdown
+ *
+ * Channels whose markup is "markers around spans" (Telegram MarkdownV2 and
+ * HTML, Discord, Slack) share one walker over the document tree. A dialect object
+ * supplies the escaping and markers:
+ *
+ *   escape(text), escapeCode(text)       text outside / inside code blocks
+ *   strong, emphasis, delete, spoiler    [open, close] marker pairs
+ *   code(value), link(label, url, node)  inline code and links
+ *   mention(node, label, dialect)        optional, @user / #channel mentions
+ *                                        (tokens.js); the label as is without
+ *   fence(lang, body)                    code blocks (also used for tables)
+ *   heading(depth, inner)                optional, for headingStyle 'native'
+ *   blockquote(body)                     optional, quotes render flat without
+ *   measure(rendered)                    optional, visible length for splitting
+ *   adjoin(left, right)                  optional, joins two inline renderings
+ *                                        that would otherwise run together
+ *   validate(rendered), degrade(block)   optional, a top-level block whose
+ *                                        rendering fails validate() is
+ *                                        rendered by degrade() instead
+ *
+ * withOptions() binds a dialect to the channel's resolved options (config.js),
+ * which choose the bullet, heading style and table layout.
+ *
+ * Nested spans of the same kind collapse into the outer one, and nested
+ * quotes render flat, since none of these channels nests them.
+ *
+ * Splitting happens on the tree, before escaping: first between blocks, then
+ * between lines, then between words, and only as a last resort inside a word.
+ * A split span is closed and reopened around the cut, and a split code block
+ * is re-fenced with its language tag.
+ */
+
+const { mapText, renderList, joinBlocks } = require('./markdown');
+const { renderBoxTable, renderCardTable } = require('./tables');
+
+function withOptions(dialect, options) {
+    return { ...dialect, options };
+}
+
+// --- Rendering ---
+
+function wrap(node, dialect, active) {
+    if (active.has(node.type)) return renderInline(node.children, dialect, active);
+    const [open, close] = dialect[node.type];
+    return open + renderInline(node.children, dialect, new Set(active).add(node.type)) + close;
+}
+
+function renderInline(nodes, dialect, active = new Set()) {
+    const parts = nodes.map(node => {
+        switch (node.type) {
+            case 'text':
+                return dialect.escape(node.value);
+            case 'strong':
+            case 'emphasis':
+            case 'delete':
+            case 'spoiler':
+                return wrap(node, dialect, active);
+            case 'inlineCode':
+                return dialect.code(node.value);
+            case 'link': {
+                if (active.has('link')) return renderInline(node.children, dialect, active);
+                const label = renderInline(node.children, dialect, new Set(active).add('link'));
+                return dialect.link(label, node.url, node);
+            }
+            case 'mention': {
+                const label = renderInline(node.children, dialect, active);
+                return dialect.mention ? dialect.mention(node, label, dialect) : label;
+            }
+            default:
+                return '';
+        }
+    });
+    return dialect.adjoin ? parts.reduce(dialect.adjoin, '') : parts.join('');
+}
+
+function renderHeading(block, dialect) {
+    const style = dialect.options.headingStyle;
+    if (style === 'plain') return renderInline(block.children, dialect);
+    if (style === 'upper') return renderInline(mapText(block.children, s => s.toUpperCase()), dialect);
+    const inner = renderInline(block.children, dialect, new Set(['strong']));
+    if (style === 'native' && dialect.heading) return dialect.heading(block.depth, inner);
+    return dialect.strong[0] + inner + dialect.strong[1];
+}
+
+function renderBlock(block, dialect) {
+    switch (block.type) {
+        case 'heading':
+            return renderHeading(block, dialect);
+        case 'paragraph':
+            return renderInline(block.children, dialect);
+        case 'list':
+            return renderList(block, dialect.options.bullet, children => renderInline(children, dialect), dialect.escape);
+        case 'code':
+            return dialect.fence(block.lang, dialect.escapeCode(block.value));
+        case 'table':
+            if (dialect.options.tableStyle === 'cards') return dialect.escape(renderCardTable(block, dialect.options));
+            return dialect.fence('', dialect.escapeCode(renderBoxTable(block, dialect.options)));
+        case 'blockquote': {
+            if (!dialect.blockquote) return joinBlocks(block.children, child => renderBlock(child, dialect));
+            const inner = { ...dialect, blockquote: null };
+            return dialect.blockquote(joinBlocks(block.children, child => renderBlock(child, inner)));
+        }
+        default:
+            return null;
+    }
+}
+
+// Checked per block, so one block the channel would reject costs only its
+// own formatting rather than the whole message.
+function renderChecked(block, dialect) {
+    const rendered = renderBlock(block, dialect);
+    if (rendered === null || !dialect.validate || dialect.validate(rendered) === null) return rendered;
+    return dialect.degrade(block, dialect);
+}
+
+function renderDocument(blocks, dialect) {
+    return joinBlocks(blocks, block => renderChecked(block, dialect)).trimEnd();
+}
+
+// --- Splitting ---
+
+// Length of rendered text as the channel counts it. Dialects whose output
+// carries markers that never reach the user (ranges.js) supply `measure`.
+function measure(rendered, dialect) {
+    return dialect.measure ? dialect.measure(rendered) : rendered.length;
+}
+
+// Splits inline nodes into units that end after `boundary` (newline or any
+// whitespace) in a top-level text node. Spans are never cut here.
+function splitAt(nodes, boundary) {
+    const units = [[]];
+    for (const node of nodes) {
+        if (node.type !== 'text') {
+            units[units.length - 1].push(node);
+            continue;
+        }
+        for (const value of node.value.split(new RegExp('(?<=' + boundary.source + ')'))) {
+            units[units.length - 1].push({ type: 'text', value });
+            if (boundary.test(value[value.length - 1])) units.push([]);
+        }
+    }
+    return units.filter(unit => unit.length > 0);
+}
+
+function packNodes(units, limit, dialect, oversize) {
+    const groups = [];
+    let current = [];
+    let size = 0;
+    for (const unit of units) {
+        const len = measure(renderInline(unit, dialect), dialect);
+        if (current.length && size + len > limit) {
+            groups.push(current);
+            current = [];
+            size = 0;
+        }
+        if (len > limit) {
+            groups.push(...oversize(unit, limit));
+            continue;
+        }
+        current.push(...unit);
+        size += len;
+    }
+    if (current.length) groups.push(current);
+    return groups;
+}
+
+function sliceByCost(value, limit, cost) {
+    const pieces = [];
+    let piece = '';
+    let size = 0;
+    for (const ch of value) {
+        const len = cost(ch);
+        if (piece && size + len > limit) {
+            pieces.push(piece);
+            piece = '';
+            size = 0;
+        }
+        piece += ch;
+        size += len;
+    }
+    if (piece) pieces.push(piece);
+    return pieces;
+}
+
+function splitNode(node, limit, dialect) {
+    if (node.type === 'text') {
+        return sliceByCost(node.value, limit, ch => measure(dialect.escape(ch), dialect))
+            .map(value => [{ type: 'text', value }]);
+    }
+    if (node.type === 'inlineCode') {
+        const overhead = measure(dialect.code(''), dialect);
+        return sliceByCost(node.value, Math.max(1, limit - overhead), ch => measure(dialect.code(ch), dialect) - overhead)
+            .map(value => [{ type: 'inlineCode', value }]);
+    }
+    const overhead = measure(renderInline([{ ...node, children: [] }], dialect), dialect);
+    return splitInline(node.children, Math.max(1, limit - overhead), dialect)
+        .map(children => [{ ...node, children }]);
+}
+
+function splitInline(nodes, limit, dialect) {
+    return packNodes(splitAt(nodes, /\n/), limit, dialect, (line, max) =>
+        packNodes(splitAt(line, /\s/), max, dialect, (word, m) =>
+            packNodes(word.map(node => [node]), m, dialect, (unit, n) => splitNode(unit[0], n, dialect))))
+        .filter(group => group.some(node => node.type !== 'text' || node.value.trim()));
+}
+
+function splitCode(block, limit, dialect) {
+    const room = Math.max(1, limit - measure(dialect.fence(block.lang, ''), dialect));
+    const cost = ch => measure(dialect.escapeCode(ch), dialect);
+    const lineCost = line => [...line].reduce((sum, ch) => sum + cost(ch), 0);
+    const fragments = [];
+    let body = [];
+    let size = 0;
+    for (const line of block.value.split('\n')) {
+        const parts = lineCost(line) > room ? sliceByCost(line, room, cost) : [line];
+        for (const part of parts) {
+            const len = lineCost(part);
+            if (body.length && size + 1 + len > room) {
+                fragments.push({ type: 'code', lang: block.lang, value: body.join('\n') });
+                body = [];
+                size = 0;
+            }
+            size += (body.length ? 1 : 0) + len;
+            body.push(part);
+        }
+    }
+    if (body.length) fragments.push({ type: 'code', lang: block.lang, value: body.join('\n') });
+    return fragments;
+}
+
+// Every quoted line gains a marker, so children are split to half the limit
+// and then regrouped into as few quotes as fit.
+function splitQuote(block, limit, dialect) {
+    const room = Math.max(1, Math.floor(limit / 2) - 4);
+    const fragments = [];
+    let group = [];
+    for (const child of block.children.flatMap(c => splitBlock(c, room, dialect))) {
+        const candidate = { type: 'blockquote', children: [...group, child] };
+        if (group.length && measure(renderBlock(candidate, dialect), dialect) > limit) {
+            fragments.push({ type: 'blockquote', children: group });
+            group = [child];
+        } else {
+            group.push(child);
+        }
+    }
+    if (group.length) fragments.push({ type: 'blockquote', children: group });
+    return fragments;
+}
+
+// One single-item list per item, keeping its number and depth, with nested
+// lists flattened after it. Continuations of an oversized item follow as
+// unmarked lines.
+function splitList(block, limit, dialect) {
+    return block.items.flatMap((item, i) => {
+        const single = (children) => ({ ...block, start: block.start + i, items: [{ ...item, children, lists: [] }] });
+        const overhead = measure(renderBlock(single([]), dialect), dialect);
+        const head = splitInline(item.children, Math.max(1, limit - overhead), dialect)
+            .map((children, k) => k === 0 ? single(children) : { type: 'paragraph', children });
+        return [...head, ...item.lists.flatMap(nested => splitList(nested, limit, dialect))];
+    });
+}
+
+// Returns the block as one or more fragments (blocks of the same shape) that
+// each render under `limit`. Fragments after the first are tight.
+function splitBlock(block, limit, dialect) {
+    const whole = renderBlock(block, dialect);
+    if (whole === null || measure(whole, dialect) <= limit) return [block];
+
+    let fragments;
+    switch (block.type) {
+        case 'heading': {
+            const overhead = measure(renderBlock({ ...block, children: [] }, dialect), dialect);
+            fragments = splitInline(block.children, limit - overhead, dialect)
+                .map(children => ({ ...block, children }));
+            break;
+        }
+        case 'paragraph':
+            fragments = splitInline(block.children, limit, dialect)
+                .map(children => ({ type: 'paragraph', children }));
+            break;
+        case 'list':
+            fragments = splitList(block, limit, dialect);
+            break;
+        case 'code':
+            fragments = splitCode(block, limit, dialect);
+            break;
+        case 'table':
+            fragments = dialect.options.tableStyle === 'cards'
+                ? splitInline([{ type: 'text', value: renderCardTable(block, dialect.options) }], limit, dialect)
+                    .map(children => ({ type: 'paragraph', children }))
+                : splitCode({ type: 'code', lang: '', value: renderBoxTable(block, dialect.options) }, limit, dialect);
+            break;
+        case 'blockquote':
+            fragments = splitQuote(block, limit, dialect);
+            break;
+        default:
+            fragments = [block];
+    }
+    return fragments.map((fragment, i) => ({ ...fragment, tight: i === 0 ? block.tight : true }));
+}
+
+function trimEndNodes(nodes) {
+    const last = nodes[nodes.length - 1];
+    if (!last) return nodes;
+    if (last.type === 'text') return [...nodes.slice(0, -1), { ...last, value: last.value.trimEnd() }];
+    if (last.children) return [...nodes.slice(0, -1), { ...last, children: trimEndNodes(last.children) }];
+    return nodes;
+}
+
+function trimFragment(fragment) {
+    if (!fragment.children || fragment.type === 'blockquote') return fragment;
+    return { ...fragment, children: trimEndNodes(fragment.children) };
+}
+
+/**
+ * Splits a document's blocks into groups that each render under `limit`
+ * characters in `dialect`. Returns an array of block arrays; callers render
+ * each group with renderDocument() (or any other renderer over the tree).
+ */
+function splitDocument(blocks, dialect, limit) {
+    const groups = [];
+    let current = [];
+    let size = 0;
+
+    for (const block of blocks) {
+        for (const fragment of splitBlock(block, limit, dialect).map(trimFragment)) {
+            const rendered = renderChecked(fragment, dialect);
+            const len = rendered === null ? 0 : measure(rendered, dialect) + (fragment.tight ? 1 : 2);
+            if (current.length && size + len > limit) {
+                groups.push(current);
+                current = [];
+                size = 0;
+            }
+            current.push(fragment);
+            size += len;
+        }
+    }
+    if (current.length) groups.push(current);
+
+    return groups;
+}
+
+module.exports = { withOptions, renderInline, renderBlock, renderDocument, splitDocument };
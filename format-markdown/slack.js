@@ -0,0 +1,85 @@
+/**
+ * Slack renderer for format-markdown
+ *
+ * A render.js dialect that emits Slack mrkdwn: *bold*, _italic_, ~strike~,
+ * `code`, ```blocks```, "> " quotes and <url|text> links, with &, < and >
+ * escaped everywhere. Headings become bold lines and tables become
+ * box-drawn monospace blocks (or card-style groups with tableStyle 'cards').
+ * Slack has no spoilers, so ||spoiler|| text is shown as is.
+ *
+ * buildSlackBlocks() renders the same tree as Block Kit: headings become
+ * header blocks, thematic breaks become dividers and everything in between
+ * is packed into mrkdwn sections. A block longer than a section allows is
+ * split with the shared splitter, so a cut code block is re-fenced.
+ */
+
+const { inlineText, prefixLines } = require('./markdown');
+const { parseForChannel } = require('./attachments');
+const { withOptions, renderBlock, renderDocument, splitDocument } = require('./render');
+const { resolveOptions } = require('./config');
+
+const SLACK_SECTION_MAX_LENGTH = 3000;
+const SLACK_HEADER_MAX_LENGTH = 150;
+
+function escapeSlack(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+const SLACK = {
+    escape: escapeSlack,
+    escapeCode: escapeSlack,
+    strong: ['*', '*'],
+    emphasis: ['_', '_'],
+    delete: ['~', '~'],
+    spoiler: ['', ''],
+    code: (value) => '`' + escapeSlack(value) + '`',
+    link: (label, url, node) => node.bare
+        ? '<' + escapeSlack(url) + '>'
+        : '<' + escapeSlack(url) + '|' + label.replace(/\|/g, '\u2758') + '>',
+    mention: (node) => (node.kind === 'user' ? '<@' : '<#') + escapeSlack(node.id) + '>',
+    fence: (lang, body) => '```\n' + body + '\n```',
+    blockquote: (body) => prefixLines(body, '> '),
+};
+
+function formatSlack(text, options = resolveOptions('slack')) {
+    return renderDocument(parseForChannel(text, options), withOptions(SLACK, options)).trim();
+}
+
+function buildSlackBlocks(text, options = resolveOptions('slack')) {
+    const blocks = [];
+    let section = '';
+
+    const flush = () => {
+        if (section.trim()) blocks.push({ type: 'section', text: { type: 'mrkdwn', text: section.trim() } });
+        section = '';
+    };
+
+    const dialect = withOptions(SLACK, options);
+    for (const block of parseForChannel(text, options)) {
+        if (block.type === 'heading') {
+            flush();
+            const title = inlineText(block.children).slice(0, SLACK_HEADER_MAX_LENGTH);
+            blocks.push({ type: 'header', text: { type: 'plain_text', text: title, emoji: true } });
+            continue;
+        }
+        if (block.type === 'thematicBreak') {
+            flush();
+            blocks.push({ type: 'divider' });
+            continue;
+        }
+        // A block too long for one section is split on the tree, so a cut
+        // code block is re-fenced and no escape is cut in half.
+        for (const fragment of splitDocument([block], dialect, SLACK_SECTION_MAX_LENGTH).flat()) {
+            const rendered = renderBlock(fragment, dialect);
+            if (rendered === null) continue;
+            const sep = section ? (fragment.tight ? '\n' : '\n\n') : '';
+            if (section && section.length + sep.length + rendered.length > SLACK_SECTION_MAX_LENGTH) flush();
+            section += (section ? sep : '') + rendered;
+        }
+    }
+    flush();
+
+    return blocks;
+}
+
+module.exports = { formatSlack, buildSlackBlocks, escapeSlack };
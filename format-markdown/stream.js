@@ -0,0 +1,144 @@
+/**
+ * Streaming formatter for format-markdown
+ *
+ * For channels where a response is shown while it is generated, by editing
+ * one message as tokens arrive. Every push() renders what has arrived so far
+ * through the channel's renderer, which only ever emits balanced markup, so
+ * each edit is accepted. On top of that the partial text is tidied so the
+ * display does not flicker:
+ *
+ *   - spans still open at the end (**bold, `code, ~~gone) are closed, so
+ *     they show formatted from the start rather than as literal markers
+ *   - a marker with nothing after it yet (a trailing "**") is held back
+ *   - an unfinished table row, and a table's first row until its separator
+ *     arrives, are held back, so rows appear whole and the header never
+ *     shows as a paragraph first
+ *
+ * Open code blocks need no closing: the parser already runs an unclosed
+ * fence to the end of the text and the renderer closes it. Only a fence
+ * with no body yet, or a closing fence half written, is held back.
+ */
+
+const FENCE = /^[\t ]*(`{3,}|~{3,})/;
+const TABLE_ROW = /^[\t ]*\|/;
+const SPAN_MARKERS = ['**', '__', '~~', '||', '*', '_'];
+const WORD = /[\p{L}\p{N}_]/u;
+
+// Drops table lines that may still change what they are: the row being
+// written, and a first row until the separator below makes it a header.
+function holdBackRows(text) {
+    const lines = text.split('\n');
+    if (TABLE_ROW.test(lines[lines.length - 1])) lines[lines.length - 1] = '';
+    const last = lines.length - 2;
+    if (last >= 0 && TABLE_ROW.test(lines[last]) && !(last > 0 && TABLE_ROW.test(lines[last - 1]))) {
+        lines.splice(last, 1);
+    }
+    return lines.join('\n');
+}
+
+// Returns the index of the line opening a fence that is still open, or -1.
+function openFenceLine(lines) {
+    let open = null;
+    let at = -1;
+    lines.forEach((line, i) => {
+        const fence = FENCE.exec(line);
+        if (!fence) return;
+        if (!open) {
+            open = fence[1];
+            at = i;
+        } else if (fence[1][0] === open[0] && fence[1].length >= open.length) {
+            open = null;
+            at = -1;
+        }
+    });
+    return at;
+}
+
+function markerAt(text, i) {
+    return SPAN_MARKERS.find(marker => text.startsWith(marker, i));
+}
+
+// Returns the closers for spans still open at the end of the last
+// paragraph, innermost first.
+function openSpans(paragraph) {
+    const stack = [];
+    let i = 0;
+    while (i < paragraph.length) {
+        const ch = paragraph[i];
+        if (ch === '\\') {
+            i += 2;
+            continue;
+        }
+        if (ch === '`') {
+            let n = 0;
+            while (paragraph[i + n] === '`') n++;
+            const close = paragraph.indexOf('`'.repeat(n), i + n);
+            if (close === -1) return ['`'.repeat(n), ...stack.reverse()];
+            i = close + n;
+            continue;
+        }
+        const marker = markerAt(paragraph, i);
+        if (!marker) {
+            i++;
+            continue;
+        }
+        const before = paragraph[i - 1];
+        const after = paragraph[i + marker.length];
+        const top = stack.lastIndexOf(marker);
+        if (top !== -1 && before !== undefined && !/\s/.test(before)) {
+            stack.splice(top);
+        } else if (after !== undefined && !/\s/.test(after)
+            && !((marker === '*' || marker[0] === '_') && before !== undefined && WORD.test(before))) {
+            stack.push(marker);
+        }
+        i += marker.length;
+    }
+    return stack.reverse();
+}
+
+/**
+ * Makes a partial response displayable: holds back what is still in flux
+ * and closes what is still open.
+ */
+function displayablePrefix(text) {
+    let shown = holdBackRows(text).trimEnd();
+    const lines = shown.split('\n');
+    const fence = openFenceLine(lines);
+    if (fence !== -1) {
+        // A fence without a body yet, or a line that may become the closing
+        // fence, would show as stray code; hold it back.
+        if (fence === lines.length - 1) return lines.slice(0, -1).join('\n').trimEnd();
+        if (/^[\t ]*(`+|~+)$/.test(lines[lines.length - 1])) lines.pop();
+        return lines.join('\n');
+    }
+    if (TABLE_ROW.test(lines[lines.length - 1])) return shown;
+
+    // A marker with nothing after it yet opens nothing; hold it back.
+    shown = shown.replace(/(?:\*{1,3}|_{1,3}|~~?|\|\|?|`+)$/, '').trimEnd();
+
+    const paragraph = shown.slice(shown.lastIndexOf('\n\n') + 1);
+    let closers = openSpans(paragraph).join('');
+    if (/\]\([^)\s]*$/.test(paragraph)) closers = ')' + closers;
+    return shown + closers;
+}
+
+/**
+ * Creates a streaming formatter around `render`, any function from markdown
+ * to channel output (e.g. text => formatTelegram(text, options)).
+ * push(chunk) appends to the response and returns the rendered displayable
+ * prefix; end() returns the rendering of the complete response.
+ */
+function createStreamFormatter(render) {
+    let buffer = '';
+    return {
+        push(chunk) {
+            buffer += chunk;
+            return render(displayablePrefix(buffer));
+        },
+        end() {
+            return render(buffer);
+        },
+    };
+}
+
+module.exports = { createStreamFormatter, displayablePrefix };
@@ -0,0 +1,313 @@
+/**
+ * Table rendering for format-markdown
+ *
+ * Turns parsed GFM table nodes into a box-drawn grid (for monospace blocks)
+ * or card-style "Header: value" groups (for channels without monospace
+ * alignment). Cell formatting is dropped; only the cell text is kept. Tables
+ * wider than the configured width are wrapped, split or transposed rather
+ * than cut off, unless tableOverflow asks for truncation.
+ *
+ * Widths are measured in terminal columns per grapheme cluster, not in UTF-16
+ * code units: East Asian wide characters and emoji take two columns,
+ * combining marks and zero-width characters none, so CJK and emoji cells
+ * line up and truncation never cuts a glyph in half.
+ */
+
+const { inlineText } = require('./markdown');
+
+const BOX = {
+    h: '\u2500', v: '\u2502',
+    tl: '\u250C', tr: '\u2510', bl: '\u2514', br: '\u2518',
+    lj: '\u251C', rj: '\u2524', tj: '\u252C', bj: '\u2534', cross: '\u253C',
+};
+
+// --- Display width ---
+
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+const ZERO_WIDTH = /^[\p{Mn}\p{Me}\p{Cc}\p{Cf}]+$/u;
+const EMOJI = /\p{Emoji_Presentation}|\p{Extended_Pictographic}\uFE0F|\p{Regional_Indicator}|\u200D/u;
+// East Asian Wide (W) and Fullwidth (F) blocks.
+const WIDE = /^[\u1100-\u115F\u231A\u231B\u2329\u232A\u2E80-\u303E\u3041-\u33FF\u3400-\u4DBF\u4E00-\u9FFF\uA000-\uA4CF\uA960-\uA97F\uAC00-\uD7A3\uF900-\uFAFF\uFE10-\uFE19\uFE30-\uFE6F\uFF00-\uFF60\uFFE0-\uFFE6\u{16FE0}-\u{16FE4}\u{17000}-\u{18CFF}\u{1B000}-\u{1B2FF}\u{1F200}-\u{1F2FF}\u{20000}-\u{2FFFD}\u{30000}-\u{3FFFD}]/u;
+
+function graphemes(s) {
+    return Array.from(segmenter.segment(s), part => part.segment);
+}
+
+function graphemeWidth(g) {
+    if (ZERO_WIDTH.test(g)) return 0;
+    if (EMOJI.test(g) || WIDE.test(g)) return 2;
+    return 1;
+}
+
+function displayWidth(s) {
+    let width = 0;
+    for (const g of graphemes(s)) width += graphemeWidth(g);
+    return width;
+}
+
+// --- Tables ---
+
+function padAligned(s, width, align) {
+    const len = displayWidth(s);
+    if (len >= width) return s;
+    const gap = width - len;
+    if (align === 'right') return ' '.repeat(gap) + s;
+    if (align === 'center') {
+        const left = Math.floor(gap / 2);
+        return ' '.repeat(left) + s + ' '.repeat(gap - left);
+    }
+    return s + ' '.repeat(gap);
+}
+
+// Cuts `s` to at most `max` columns, ending in an ellipsis. A wide glyph
+// that would straddle the limit is dropped whole; padAligned fills the gap.
+function truncate(s, max) {
+    if (displayWidth(s) <= max) return s;
+    let out = '';
+    let width = 0;
+    for (const g of graphemes(s)) {
+        const w = graphemeWidth(g);
+        if (width + w > max - 1) break;
+        out += g;
+        width += w;
+    }
+    return out + '\u2026';
+}
+
+// Breaks `s` into lines of at most `width` columns, between words where it
+// can and between graphemes inside words longer than a line.
+function wrapText(s, width) {
+    const lines = [];
+    let line = '';
+    let size = 0;
+    const push = () => {
+        lines.push(line);
+        line = '';
+        size = 0;
+    };
+    for (const word of s.split(/\s+/).filter(Boolean)) {
+        const w = displayWidth(word);
+        if (line && size + 1 + w <= width) {
+            line += ' ' + word;
+            size += 1 + w;
+            continue;
+        }
+        if (line) push();
+        if (w <= width) {
+            line = word;
+            size = w;
+            continue;
+        }
+        for (const g of graphemes(word)) {
+            const gw = graphemeWidth(g);
+            if (line && size + gw > width) push();
+            line += g;
+            size += gw;
+        }
+    }
+    if (line || !lines.length) lines.push(line);
+    return lines;
+}
+
+function longestWord(s) {
+    return Math.max(0, ...s.split(/\s+/).map(displayWidth));
+}
+
+function cellTexts(table) {
+    return {
+        headers: table.headers.map(inlineText),
+        rows: table.rows.map(row => row.map(inlineText)),
+    };
+}
+
+// --- Box layout ---
+
+const MIN_COLUMN_WIDTH = 2;
+const MAX_SPLIT_TABLES = 3;
+
+function boxOverhead(numCols) {
+    return (numCols - 1) * 3 + 4;
+}
+
+function naturalWidths(headers, rows) {
+    return headers.map((h, i) => Math.max(displayWidth(h), ...rows.map(r => displayWidth(r[i]))));
+}
+
+function wordWidths(headers, rows) {
+    return headers.map((h, i) => Math.max(longestWord(h), ...rows.map(r => longestWord(r[i]))));
+}
+
+// Shrinks every column in proportion to its natural width.
+function proportionalWidths(widths, available) {
+    const total = widths.reduce((a, b) => a + b, 0);
+    return widths.map(w => Math.max(MIN_COLUMN_WIDTH, Math.floor((w / total) * available)));
+}
+
+// Gives every column its longest word, then shares what is left in
+// proportion to how much each column still wants.
+function wrapWidths(natural, words, available) {
+    if (natural.reduce((a, b) => a + b, 0) <= available) return natural;
+    const floor = words.reduce((a, b) => a + b, 0);
+    if (floor > available) return proportionalWidths(words, available);
+    const want = natural.map((w, i) => w - words[i]);
+    const totalWant = want.reduce((a, b) => a + b, 0);
+    const widths = words.map((w, i) => w + Math.floor((want[i] / totalWant) * (available - floor)));
+    let spare = available - widths.reduce((a, b) => a + b, 0);
+    for (let i = 0; spare > 0 && i < widths.length; i++) {
+        if (widths[i] < natural[i]) {
+            widths[i]++;
+            spare--;
+        }
+    }
+    return widths;
+}
+
+function drawBox(widths, aligns, headerLines, rowLines, separateRows) {
+    const rule = (left, join, right) => left + widths.map(w => BOX.h.repeat(w + 2)).join(join) + right;
+    const drawRow = (cells) => {
+        const height = Math.max(...cells.map(lines => lines.length));
+        const out = [];
+        for (let k = 0; k < height; k++) {
+            out.push(BOX.v + cells.map((lines, i) =>
+                ' ' + padAligned(lines[k] || '', widths[i], aligns[i]) + ' ').join(BOX.v) + BOX.v);
+        }
+        return out.join('\n');
+    };
+
+    const lines = [rule(BOX.tl, BOX.tj, BOX.tr)];
+    if (headerLines) lines.push(drawRow(headerLines), rule(BOX.lj, BOX.cross, BOX.rj));
+    rowLines.forEach((cells, i) => {
+        if (separateRows && i > 0) lines.push(rule(BOX.lj, BOX.cross, BOX.rj));
+        lines.push(drawRow(cells));
+    });
+    lines.push(rule(BOX.bl, BOX.bj, BOX.br));
+    return lines.join('\n');
+}
+
+function truncatedBox(headers, rows, aligns, maxWidth) {
+    let widths = naturalWidths(headers, rows);
+    const available = maxWidth - boxOverhead(headers.length);
+    if (widths.reduce((a, b) => a + b, 0) > available) widths = proportionalWidths(widths, available);
+    const cells = (row) => row.map((cell, i) => [truncate(cell, widths[i])]);
+    return drawBox(widths, aligns, cells(headers), rows.map(cells), false);
+}
+
+function wrappedBox(headers, rows, aligns, maxWidth) {
+    const widths = wrapWidths(naturalWidths(headers, rows), wordWidths(headers, rows),
+        maxWidth - boxOverhead(headers.length));
+    const cells = (row) => row.map((cell, i) => wrapText(cell, widths[i]));
+    return drawBox(widths, aligns, cells(headers), rows.map(cells), rows.some(row =>
+        row.some((cell, i) => displayWidth(cell) > widths[i])));
+}
+
+// One record per block of lines: "header | value", value column wrapped.
+function transposedBox(headers, rows, maxWidth) {
+    const available = maxWidth - boxOverhead(2);
+    const keyWidth = Math.min(Math.max(...headers.map(displayWidth)), Math.floor(available / 3));
+    const valueWidth = Math.max(MIN_COLUMN_WIDTH, available - keyWidth);
+    const widths = [keyWidth, Math.min(valueWidth, Math.max(MIN_COLUMN_WIDTH, ...rows.flat().map(displayWidth)))];
+    const records = rows.map(row => headers.map((h, i) => [wrapText(h, widths[0]), wrapText(row[i], widths[1])]));
+    const lines = [];
+    records.forEach((pairs, i) => {
+        const box = drawBox(widths, ['left', 'left'], null, pairs, false).split('\n');
+        // Records share borders: drop the top rule of every record after the first.
+        if (i > 0) {
+            box.shift();
+            lines.pop();
+            lines.push(BOX.lj + widths.map(w => BOX.h.repeat(w + 2)).join(BOX.cross) + BOX.rj);
+        }
+        lines.push(...box);
+    });
+    return lines.join('\n');
+}
+
+// Groups columns into tables that fit without breaking words, repeating the
+// first column in every table as the row key. Returns null when a single
+// column is already too wide to share a table with the key.
+function columnGroups(headers, rows, maxWidth) {
+    const words = wordWidths(headers, rows);
+    const groups = [];
+    let group = [0];
+    for (let i = 1; i < headers.length; i++) {
+        const next = [...group, i];
+        const need = next.reduce((sum, c) => sum + words[c], 0) + boxOverhead(next.length);
+        if (need <= maxWidth) {
+            group = next;
+        } else if (group.length > 1) {
+            groups.push(group);
+            group = [0, i];
+            if (words[0] + words[i] + boxOverhead(2) > maxWidth) return null;
+        } else {
+            return null;
+        }
+    }
+    groups.push(group);
+    return groups;
+}
+
+function splitBoxes(headers, rows, aligns, maxWidth, groups) {
+    const pick = (row, group) => group.map(c => row[c]);
+    return groups.map(group =>
+        wrappedBox(pick(headers, group), rows.map(row => pick(row, group)), pick(aligns, group), maxWidth)
+    ).join('\n\n');
+}
+
+/**
+ * Renders a table as a box-drawn grid at most `options.tableMaxWidth`
+ * columns wide. A table that does not fit is laid out per
+ * `options.tableOverflow`:
+ *
+ *   wrap       word-wrap cells onto several lines inside the box
+ *   split      spread the columns over stacked tables, each repeating the
+ *              first column
+ *   transpose  one "header | value" record per row
+ *   truncate   shrink every column and cut cells off with an ellipsis
+ *   auto       wrap if no word has to be broken, else split into at most
+ *              three tables if that avoids it, else transpose
+ */
+function renderBoxTable(table, options) {
+    const { headers, rows } = cellTexts(table);
+    const maxWidth = options.tableMaxWidth;
+    const natural = naturalWidths(headers, rows);
+    const fits = natural.reduce((a, b) => a + b, 0) + boxOverhead(headers.length) <= maxWidth;
+    const overflow = options.tableOverflow;
+
+    if (fits || overflow === 'wrap') return wrappedBox(headers, rows, table.aligns, maxWidth);
+    if (overflow === 'truncate') return truncatedBox(headers, rows, table.aligns, maxWidth);
+    if (overflow === 'transpose' || rows.length === 0) {
+        return rows.length ? transposedBox(headers, rows, maxWidth) : wrappedBox(headers, rows, table.aligns, maxWidth);
+    }
+
+    const groups = columnGroups(headers, rows, maxWidth);
+    if (overflow === 'split') {
+        return groups ? splitBoxes(headers, rows, table.aligns, maxWidth, groups) : transposedBox(headers, rows, maxWidth);
+    }
+    if (groups && groups.length === 1) return wrappedBox(headers, rows, table.aligns, maxWidth);
+    if (groups && groups.length <= MAX_SPLIT_TABLES) return splitBoxes(headers, rows, table.aligns, maxWidth, groups);
+    return transposedBox(headers, rows, maxWidth);
+}
+
+// --- Card layout ---
+
+/**
+ * Renders a table as "Header: value" groups, one per row. Values wider than
+ * `options.tableMaxWidth` are cut off with tableOverflow 'truncate' and
+ * wrapped onto indented continuation lines otherwise; cards are already
+ * vertical, so there is nothing to split or transpose.
+ */
+function renderCardTable(table, options) {
+    const { headers, rows } = cellTexts(table);
+    const maxWidth = options.tableMaxWidth;
+    const card = (h, value) => {
+        const room = Math.max(MIN_COLUMN_WIDTH, maxWidth - displayWidth(h) - 2);
+        if (options.tableOverflow === 'truncate') return `${h}: ${truncate(value, room)}`;
+        const [first, ...rest] = wrapText(value, room);
+        return [`${h}: ${first}`, ...rest.map(line => '  ' + line)].join('\n');
+    };
+    return rows.map(row =>
+        headers.map((h, i) => card(h, row[i])).join('\n')
+    ).join('\n\n');
+}
+
+module.exports = { renderBoxTable, renderCardTable, padAligned, truncate, displayWidth, graphemes };
@@ -0,0 +1,183 @@
+/**
+ * Telegram renderers for format-markdown
+ *
+ * Dialects for the shared walker in render.js: MarkdownV2 (every special
+ * character escaped outside entities), Telegram HTML (<b>, <i>, <s>,
+ * <code>, <pre>, <a>, <blockquote>, <tg-spoiler>) and entities (plain text
+ * plus a MessageEntity array, see ranges.js). Tables become box-drawn
+ * code blocks, bullets become "•", ||spoilers|| become spoilers and quotes
+ * longer than a few lines become expandable quotes.
+ *
+ * MarkdownV2 output is checked block by block against Telegram's rules
+ * (validate.js); a block that fails is sent as escaped plain text instead.
+ *
+ * Telegram rejects messages over 4096 characters, so long responses are
+ * split into several messages. Each chunk also carries a plain-text
+ * rendering of the same fragment, for resending when Telegram refuses to
+ * parse the formatted one.
+ */
+
+const { prefixLines, joinBlocks } = require('./markdown');
+const { parseForChannel } = require('./attachments');
+const { withOptions, renderDocument, splitDocument } = require('./render');
+const { renderBlock: renderPlainBlock } = require('./plaintext');
+const { resolveOptions } = require('./config');
+const { stripMarkers, markedLength, rangeMarkers, markRange, extractRanges } = require('./ranges');
+const { validateMarkdownV2 } = require('./validate');
+
+const TELEGRAM_SPECIAL = /([_*\[\]()~`>#+\-=|{}.!\\])/g;
+
+const TELEGRAM_MAX_LENGTH = 4096;
+
+const EXPANDABLE_QUOTE_LINES = 4;
+
+function isExpandable(body) {
+    return body.split('\n').length > EXPANDABLE_QUOTE_LINES;
+}
+
+function escapeTelegram(text) {
+    return text.replace(TELEGRAM_SPECIAL, '\\$1');
+}
+
+// Inside code and pre only ` and \ are special.
+function escapeTelegramCode(text) {
+    return text.replace(/([`\\])/g, '\\$1');
+}
+
+function escapeTelegramUrl(url) {
+    return url.replace(/([)\\])/g, '\\$1');
+}
+
+// Two italics in a row would run together into __underline__; Telegram
+// ignores \r, so one between them keeps them apart.
+function adjoinMarkdownV2(left, right) {
+    return left.endsWith('_') && right.startsWith('_') ? left + '\r' + right : left + right;
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeHtmlAttr(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
+// Users are linked by id; channels by their public username.
+function mention(node, label, dialect) {
+    return dialect.link(label, node.kind === 'user' ? 'tg://user?id=' + node.id : 'https://t.me/' + node.id, node);
+}
+
+// --- Dialects ---
+
+const MARKDOWN_V2 = {
+    parseMode: 'MarkdownV2',
+    escape: escapeTelegram,
+    escapeCode: escapeTelegramCode,
+    strong: ['*', '*'],
+    emphasis: ['_', '_'],
+    delete: ['~', '~'],
+    spoiler: ['||', '||'],
+    adjoin: adjoinMarkdownV2,
+    code: (value) => '`' + escapeTelegramCode(value) + '`',
+    link: (label, url) => '[' + label + '](' + escapeTelegramUrl(url) + ')',
+    mention,
+    fence: (lang, body) => '```' + lang + '\n' + body + '\n```',
+    blockquote: (body) => isExpandable(body)
+        ? '**' + prefixLines(body, '>') + '||'
+        : prefixLines(body, '>'),
+    validate: validateMarkdownV2,
+    degrade: (block, dialect) => escapeTelegram(renderPlainBlock(block, dialect.options)),
+};
+
+const HTML = {
+    parseMode: 'HTML',
+    escape: escapeHtml,
+    escapeCode: escapeHtml,
+    strong: ['<b>', '</b>'],
+    emphasis: ['<i>', '</i>'],
+    delete: ['<s>', '</s>'],
+    spoiler: ['<tg-spoiler>', '</tg-spoiler>'],
+    code: (value) => '<code>' + escapeHtml(value) + '</code>',
+    link: (label, url) => '<a href="' + escapeHtmlAttr(url) + '">' + label + '</a>',
+    mention,
+    fence: (lang, body) => lang
+        ? '<pre><code class="language-' + escapeHtmlAttr(lang) + '">' + body + '</code></pre>'
+        : '<pre>' + body + '</pre>',
+    blockquote: (body) => (isExpandable(body) ? '<blockquote expandable>' : '<blockquote>') + body + '</blockquote>',
+};
+
+// Spans become MessageEntity ranges; bare URLs get a `url` entity so they
+// stay links, since Telegram does not detect them when entities are given.
+const ENTITIES = {
+    parseMode: 'entities',
+    escape: stripMarkers,
+    escapeCode: stripMarkers,
+    strong: rangeMarkers({ type: 'bold' }),
+    emphasis: rangeMarkers({ type: 'italic' }),
+    delete: rangeMarkers({ type: 'strikethrough' }),
+    spoiler: rangeMarkers({ type: 'spoiler' }),
+    code: (value) => markRange({ type: 'code' }, stripMarkers(value)),
+    link: (label, url, node) => node.bare
+        ? markRange({ type: 'url' }, label)
+        : markRange({ type: 'text_link', url }, label),
+    mention,
+    fence: (lang, body) => markRange(lang ? { type: 'pre', language: lang } : { type: 'pre' }, body),
+    blockquote: (body) => markRange({ type: isExpandable(body) ? 'expandable_blockquote' : 'blockquote' }, body),
+    measure: markedLength,
+};
+
+const DIALECTS = { MarkdownV2: MARKDOWN_V2, HTML, entities: ENTITIES };
+
+// --- Formatting ---
+
+function formatTelegram(text, options = resolveOptions('telegram')) {
+    return renderDocument(parseForChannel(text, options), withOptions(MARKDOWN_V2, options));
+}
+
+function formatTelegramHtml(text, options = resolveOptions('telegram')) {
+    return renderDocument(parseForChannel(text, options), withOptions(HTML, options));
+}
+
+/**
+ * Renders a response as plain text plus Telegram entities: { text, entities }
+ * with offsets and lengths in UTF-16 code units.
+ */
+function formatTelegramEntities(text, options = resolveOptions('telegram')) {
+    const rendered = renderDocument(parseForChannel(text, options), withOptions(ENTITIES, options));
+    const { text: bare, ranges } = extractRanges(rendered);
+    return { text: bare, entities: ranges };
+}
+
+/**
+ * Splits a response into Telegram messages under `limit` characters.
+ * Returns [{ text, fallback }], where `text` is rendered in the parse mode
+ * from `options` ('MarkdownV2', 'HTML' or 'entities') and `fallback` is the
+ * same fragment as plain text. In entity mode each chunk also carries its
+ * `entities`, relative to that chunk.
+ */
+function formatTelegramChunks(text, options = resolveOptions('telegram'), limit = TELEGRAM_MAX_LENGTH) {
+    const dialect = withOptions(DIALECTS[options.parseMode] || MARKDOWN_V2, options);
+    return splitDocument(parseForChannel(text, options), dialect, limit)
+        .map(blocks => {
+            const rendered = renderDocument(blocks, dialect);
+            // The plain text keeps the channel's own bullet, links and tables.
+            const fallback = joinBlocks(blocks, block => renderPlainBlock(block, options)).trimEnd();
+            if (dialect.parseMode !== 'entities') return { text: rendered, fallback };
+            const { text: bare, ranges } = extractRanges(rendered);
+            return { text: bare, entities: ranges, fallback };
+        })
+        .filter(chunk => chunk.text);
+}
+
+module.exports = {
+    formatTelegram,
+    formatTelegramHtml,
+    formatTelegramEntities,
+    formatTelegramChunks,
+    escapeTelegram,
+    escapeTelegramCode,
+    escapeTelegramUrl,
+    escapeHtml,
+    MARKDOWN_V2,
+    TELEGRAM_MAX_LENGTH,
+};
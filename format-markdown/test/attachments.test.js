@@ -0,0 +1,30 @@
+/**
+ * Attachment tests for format-markdown
+ *
+ * Every "[attached: ...]" placeholder in the text has its attachment in the
+ * metadata, including code blocks that only exist after math conversion:
+ *
+ *   node --test format-markdown/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const plugin = require('..');
+
+const MATH = ['Before', '', '$$', '\\begin{pmatrix} a \\\\ b \\end{pmatrix}', '\\foo{x}', '\\bar{y}', '\\baz{z}', '$$', '', 'After'].join('\n');
+
+test('display math moved to a code attachment comes with its attachment', () => {
+    plugin.activate({ config: { codeAttachmentLines: 3 }, log: () => {} });
+    try {
+        const out = plugin.hooks.transformOutgoing(MATH, { channel: 'slack' });
+        assert.strictEqual(out.text, 'Before\n\n[attached: snippet.latex, 4 lines]\n\nAfter');
+        assert.deepStrictEqual(out.metadata.attachments, [{
+            type: 'file',
+            filename: 'snippet.latex',
+            language: 'latex',
+            content: '\\begin{pmatrix} a \\\\ b \\end{pmatrix}\n\\foo{x}\n\\bar{y}\n\\baz{z}',
+        }]);
+    } finally {
+        plugin.activate({ config: {}, log: () => {} });
+    }
+});
@@ -0,0 +1,37 @@
+/**
+ * Golden tests for format-markdown
+ *
+ * Every directory under fixtures/ holds an input.md and, for each channel,
+ * the exact output expected for it (<channel>.txt, as printed by
+ * preview.js). Run with the plain Node test runner:
+ *
+ *   node --test format-markdown/test/
+ *
+ * After an intended formatting change, regenerate the expected files and
+ * review the diff like any other change:
+ *
+ *   UPDATE_GOLDEN=1 node --test format-markdown/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { renderChannel, CHANNELS } = require('../preview');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+
+for (const name of fs.readdirSync(FIXTURES).sort()) {
+    const dir = path.join(FIXTURES, name);
+    const input = fs.readFileSync(path.join(dir, 'input.md'), 'utf8');
+
+    for (const channel of CHANNELS) {
+        test(name + ' on ' + channel, () => {
+            const file = path.join(dir, channel + '.txt');
+            const actual = renderChannel(input, channel) + '\n';
+            if (UPDATE) fs.writeFileSync(file, actual);
+            assert.strictEqual(actual, fs.readFileSync(file, 'utf8'));
+        });
+    }
+}
@@ -0,0 +1,19 @@
+/**
+ * Hook tests for format-markdown
+ *
+ * transformOutgoing passes a missing message (null or undefined) through
+ * as it is rather than sending its string form:
+ *
+ *   node --test format-markdown/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const plugin = require('..');
+
+for (const channel of ['telegram', 'discord']) {
+    test(channel + ' passes a missing message through', () => {
+        assert.strictEqual(plugin.hooks.transformOutgoing(null, { channel }), null);
+        assert.strictEqual(plugin.hooks.transformOutgoing(undefined, { channel }), undefined);
+    });
+}
@@ -0,0 +1,60 @@
+/**
+ * Round-trip tests for format-markdown's incoming normalization
+ *
+ * Telegram text with entities, turned into markdown by fromTelegram() and
+ * rendered back in entity mode, must come out as the same text with the
+ * same entities; WhatsApp text through fromWhatsApp() and back as the same
+ * text:
+ *
+ *   node --test format-markdown/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { fromTelegram, fromWhatsApp } = require('../incoming');
+const { formatTelegramEntities } = require('../telegram');
+const { formatWhatsApp } = require('../whatsapp');
+
+const CASES = [
+    { name: 'italic word', text: 'a word here', entities: [{ type: 'italic', offset: 2, length: 4 }] },
+    { name: 'bold inside a word', text: 'unbelievable', entities: [{ type: 'bold', offset: 2, length: 6 }] },
+    {
+        name: 'italic inside bold',
+        text: 'bold and more',
+        entities: [{ type: 'bold', offset: 0, length: 13 }, { type: 'italic', offset: 5, length: 3 }],
+    },
+    { name: 'strikethrough', text: 'strike it', entities: [{ type: 'strikethrough', offset: 0, length: 6 }] },
+    { name: 'link with a ) in its URL', text: 'a link', entities: [{ type: 'text_link', offset: 2, length: 4, url: 'http://x.com/a)b' }] },
+    { name: 'link with ( and \\ in its URL', text: 'a link', entities: [{ type: 'text_link', offset: 2, length: 4, url: 'http://x.com/(a\\b' }] },
+    { name: 'literal markers', text: 'a *star* and snake_case_name', entities: [] },
+];
+
+for (const { name, text, entities } of CASES) {
+    test(name + ' survives a round trip', () => {
+        const markdown = fromTelegram(text, entities);
+        assert.deepStrictEqual(formatTelegramEntities(markdown), { text, entities });
+    });
+}
+
+// Markdown has no italics inside a word, so those stay plain text.
+test('italics inside a word keep their text', () => {
+    for (const offset of [0, 2]) {
+        const markdown = fromTelegram('bold text', [{ type: 'italic', offset, length: 2 }]);
+        assert.strictEqual(markdown, 'bold text');
+        assert.deepStrictEqual(formatTelegramEntities(markdown), { text: 'bold text', entities: [] });
+    }
+});
+
+const WHATSAPP = [
+    '*bold* and _italic_ and ~gone~',
+    'a*b*c and snake_case *really*',
+    'literal [x](y) next to *bold*',
+    'a ||spoiler|| and a \\*star',
+    '2*3*4 and `a*b`',
+];
+
+for (const text of WHATSAPP) {
+    test('WhatsApp ' + JSON.stringify(text) + ' survives a round trip', () => {
+        assert.strictEqual(formatWhatsApp(fromWhatsApp(text)), text);
+    });
+}
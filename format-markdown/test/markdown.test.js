@@ -0,0 +1,50 @@
+/**
+ * Parser tests for format-markdown
+ *
+ * Unmatched delimiter runs are common in ordinary responses (a list of
+ * globs like `*.js, *.ts`) and in user messages, which transformIncoming
+ * parses too, so looking for their closers must stay fast however many
+ * there are. Stars and underscores inside words (a*b*c, snake_case) are
+ * text, not emphasis. Run with the golden tests:
+ *
+ *   node --test format-markdown/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseInline, inlineText } = require('../markdown');
+
+const UNMATCHED = ['*a ', '_a ', '**a ', '~~a ', '||a ', '*a **b ', '**a *b* '];
+
+function timed(fn) {
+    const start = process.hrtime.bigint();
+    const result = fn();
+    return { result, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+for (const run of UNMATCHED) {
+    test('unmatched ' + JSON.stringify(run) + ' runs parse in bounded time', () => {
+        for (const count of [24, 3000]) {
+            const src = run.repeat(count);
+            const { result, ms } = timed(() => parseInline(src));
+            assert.strictEqual(inlineText(result).length > 0, true);
+            assert.ok(ms < 1000, count + ' runs took ' + Math.round(ms) + ' ms');
+        }
+    });
+}
+
+test('a sentence of globs stays text', () => {
+    const globs = Array.from({ length: 23 }, (_, i) => '*.ext' + i).join(', ');
+    const { result, ms } = timed(() => parseInline('Matches ' + globs + '.'));
+    assert.deepStrictEqual(result, [{ type: 'text', value: 'Matches ' + globs + '.' }]);
+    assert.ok(ms < 1000, 'took ' + Math.round(ms) + ' ms');
+});
+
+// A single * or _ next to a word character is text, not emphasis.
+const LITERAL = ['Use *args/**kwargs', 'glob a*b*c', 'char*p*q', 'file_name*.txt*', 'snake_case_name', '2*3*4'];
+
+for (const src of LITERAL) {
+    test(JSON.stringify(src) + ' stays text', () => {
+        assert.deepStrictEqual(parseInline(src), [{ type: 'text', value: src }]);
+    });
+}
@@ -0,0 +1,27 @@
+/**
+ * MarkdownV2 tests for format-markdown
+ *
+ * Two italics side by side must not run together into __underline__,
+ * which Telegram would read as a different entity:
+ *
+ *   node --test format-markdown/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { withOptions, renderInline } = require('../render');
+const { resolveOptions } = require('../config');
+const { MARKDOWN_V2 } = require('../telegram');
+const { validateMarkdownV2 } = require('../validate');
+
+const dialect = withOptions(MARKDOWN_V2, resolveOptions('telegram'));
+
+function emphasis(value) {
+    return { type: 'emphasis', children: [{ type: 'text', value }] };
+}
+
+test('adjacent italics stay two italics', () => {
+    const out = renderInline([emphasis('a'), emphasis('b')], dialect);
+    assert.strictEqual(out, '_a_\r_b_');
+    assert.strictEqual(validateMarkdownV2(out), null);
+});
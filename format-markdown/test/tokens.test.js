@@ -0,0 +1,32 @@
+/**
+ * Mention tests for format-markdown
+ *
+ * A known @name becomes a native mention, except in link text, where the
+ * mention would be a link inside a link:
+ *
+ *   node --test format-markdown/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const plugin = require('..');
+
+const MESSAGE = '[ask @alice :rocket: here](http://x.com) and @alice';
+const MENTIONS = { users: { alice: 'U1' } };
+
+function send(channel) {
+    return plugin.hooks.transformOutgoing(MESSAGE, { channel, mentions: MENTIONS });
+}
+
+test('Slack keeps mentions out of link text', () => {
+    assert.strictEqual(send('slack').text, '<http://x.com|ask @alice \u{1F680} here> and <@U1>');
+});
+
+test('Telegram keeps mentions out of link text', () => {
+    assert.strictEqual(send('telegram')[0].text, '[ask @alice \u{1F680} here](http://x.com) and [@alice](tg://user?id=U1)');
+});
+
+test('Matrix keeps mentions out of link text', () => {
+    assert.strictEqual(send('matrix').metadata.formatted_body,
+        '<p><a href="http://x.com">ask @alice \u{1F680} here</a> and <a href="https://matrix.to/#/U1">@alice</a></p>');
+});
@@ -0,0 +1,128 @@
+/**
+ * Tokens for format-markdown
+ *
+ * Emoji shortcodes (:rocket:) become Unicode emoji, and @user and #channel
+ * references found in the mention lookup become `mention` nodes, which each
+ * renderer writes in its channel's own syntax: <@id> and <#id> on Discord
+ * and Slack, a tg://user link on Telegram, @number on WhatsApp, a matrix.to
+ * link on Matrix, and the name as written everywhere else. Only text is
+ * touched, so code spans and code blocks keep their tokens as written.
+ *
+ * The lookup comes with each message, as `mentions` in the transform
+ * context, and reaches the renderers as options.mentions:
+ *
+ *   { users: { alice: 'U024BE7LH' }, channels: { general: 'C024BE91L' } }
+ *
+ * Names match case-insensitively. A reference that is not in the lookup,
+ * like an unknown shortcode, stays text.
+ */
+
+const { mapDocument } = require('./markdown');
+
+const EMOJI = {
+    smile: '\u{1F604}', grin: '\u{1F601}', joy: '\u{1F602}', smiley: '\u{1F603}', wink: '\u{1F609}',
+    blush: '\u{1F60A}', heart_eyes: '\u{1F60D}', thinking: '\u{1F914}', neutral_face: '\u{1F610}',
+    confused: '\u{1F615}', cry: '\u{1F622}', sob: '\u{1F62D}', scream: '\u{1F631}', sweat_smile: '\u{1F605}',
+    sunglasses: '\u{1F60E}', upside_down_face: '\u{1F643}', slightly_smiling_face: '\u{1F642}',
+    rage: '\u{1F621}', sleeping: '\u{1F634}', exploding_head: '\u{1F92F}', partying_face: '\u{1F973}',
+    facepalm: '\u{1F926}', shrug: '\u{1F937}', thumbsup: '\u{1F44D}', '+1': '\u{1F44D}',
+    thumbsdown: '\u{1F44E}', '-1': '\u{1F44E}', ok_hand: '\u{1F44C}', clap: '\u{1F44F}', wave: '\u{1F44B}',
+    pray: '\u{1F64F}', raised_hands: '\u{1F64C}', muscle: '\u{1F4AA}', point_right: '\u{1F449}',
+    point_left: '\u{1F448}', point_up: '\u261D\uFE0F', point_down: '\u{1F447}', eyes: '\u{1F440}',
+    brain: '\u{1F9E0}', heart: '\u2764\uFE0F', broken_heart: '\u{1F494}', sparkles: '\u2728', star: '\u2B50',
+    'star2': '\u{1F31F}', fire: '\u{1F525}', boom: '\u{1F4A5}', zap: '\u26A1', '100': '\u{1F4AF}',
+    tada: '\u{1F389}', confetti_ball: '\u{1F38A}', gift: '\u{1F381}', trophy: '\u{1F3C6}',
+    rocket: '\u{1F680}', airplane: '\u2708\uFE0F', car: '\u{1F697}', ship: '\u{1F6A2}',
+    white_check_mark: '\u2705', heavy_check_mark: '\u2714\uFE0F', x: '\u274C', warning: '\u26A0\uFE0F',
+    no_entry: '\u26D4', question: '\u2753', exclamation: '\u2757', bangbang: '\u203C\uFE0F',
+    information_source: '\u2139\uFE0F', bulb: '\u{1F4A1}', memo: '\u{1F4DD}', pencil: '\u{1F4DD}',
+    book: '\u{1F4D6}', books: '\u{1F4DA}', bookmark: '\u{1F516}', link: '\u{1F517}', paperclip: '\u{1F4CE}',
+    pushpin: '\u{1F4CC}', calendar: '\u{1F4C5}', clipboard: '\u{1F4CB}',
+    chart_with_upwards_trend: '\u{1F4C8}', chart_with_downwards_trend: '\u{1F4C9}', bar_chart: '\u{1F4CA}',
+    mag: '\u{1F50D}', lock: '\u{1F512}', unlock: '\u{1F513}', key: '\u{1F511}', bell: '\u{1F514}',
+    email: '\u{1F4E7}', envelope: '\u2709\uFE0F', phone: '\u{1F4F1}', computer: '\u{1F4BB}',
+    keyboard: '\u2328\uFE0F', gear: '\u2699\uFE0F', wrench: '\u{1F527}', hammer: '\u{1F528}',
+    hammer_and_wrench: '\u{1F6E0}\uFE0F', package: '\u{1F4E6}', bug: '\u{1F41B}', construction: '\u{1F6A7}',
+    recycle: '\u267B\uFE0F', hourglass: '\u231B', stopwatch: '\u23F1\uFE0F', alarm_clock: '\u23F0',
+    moneybag: '\u{1F4B0}', dollar: '\u{1F4B5}', coffee: '\u2615', beer: '\u{1F37A}', pizza: '\u{1F355}',
+    cake: '\u{1F370}', sunny: '\u2600\uFE0F', cloud: '\u2601\uFE0F', umbrella: '\u2614',
+    snowflake: '\u2744\uFE0F', rainbow: '\u{1F308}', earth_americas: '\u{1F30E}',
+    globe_with_meridians: '\u{1F310}', seedling: '\u{1F331}', tree: '\u{1F333}', rose: '\u{1F339}',
+    cat: '\u{1F431}', dog: '\u{1F436}', robot: '\u{1F916}', ghost: '\u{1F47B}', skull: '\u{1F480}',
+    alien: '\u{1F47D}', crown: '\u{1F451}', gem: '\u{1F48E}', dart: '\u{1F3AF}', checkered_flag: '\u{1F3C1}',
+    triangular_flag_on_post: '\u{1F6A9}', red_circle: '\u{1F534}', large_blue_circle: '\u{1F535}',
+    green_circle: '\u{1F7E2}', yellow_circle: '\u{1F7E1}', arrow_right: '\u27A1\uFE0F',
+    arrow_left: '\u2B05\uFE0F', arrow_up: '\u2B06\uFE0F', arrow_down: '\u2B07\uFE0F',
+    arrows_counterclockwise: '\u{1F504}', new: '\u{1F195}', sos: '\u{1F198}', ok: '\u{1F197}',
+    cool: '\u{1F192}', speech_balloon: '\u{1F4AC}', thought_balloon: '\u{1F4AD}', loudspeaker: '\u{1F4E2}',
+    mega: '\u{1F4E3}', lightning: '\u26A1',
+};
+
+// A shortcode, or @name / #name not glued to a word, address or entity.
+const TOKEN = /:([a-z0-9_+-]+):|(?<![\p{L}\p{N}_@#&\/])([@#])([\p{L}\p{N}_](?:[\p{L}\p{N}_.-]*[\p{L}\p{N}_])?)/gu;
+
+function lookup(table, name) {
+    if (!table) return undefined;
+    if (Object.prototype.hasOwnProperty.call(table, name)) return table[name];
+    const key = Object.keys(table).find(k => k.toLowerCase() === name.toLowerCase());
+    return key === undefined ? undefined : table[key];
+}
+
+// Returns the nodes a text node becomes.
+function splitTokens(value, mentions) {
+    const nodes = [];
+    let text = '';
+    let pos = 0;
+    for (const match of value.matchAll(TOKEN)) {
+        const [raw, shortcode, sigil, name] = match;
+        let replacement;
+        if (shortcode !== undefined) {
+            replacement = Object.prototype.hasOwnProperty.call(EMOJI, shortcode) ? EMOJI[shortcode] : undefined;
+        } else {
+            const kind = sigil === '@' ? 'user' : 'channel';
+            const id = lookup(mentions && mentions[kind === 'user' ? 'users' : 'channels'], name);
+            if (id !== undefined) replacement = { type: 'mention', kind, id: String(id), children: [{ type: 'text', value: raw }] };
+        }
+        if (replacement === undefined) continue;
+        text += value.slice(pos, match.index);
+        pos = match.index + raw.length;
+        if (typeof replacement === 'string') {
+            text += replacement;
+            continue;
+        }
+        if (text) nodes.push({ type: 'text', value: text });
+        nodes.push(replacement);
+        text = '';
+    }
+    text += value.slice(pos);
+    if (text) nodes.push({ type: 'text', value: text });
+    return nodes;
+}
+
+/**
+ * Replaces shortcodes and known mentions in the text of `blocks`, using
+ * options.mentions as the lookup. Link text gets shortcodes only: a mention
+ * is a link of its own on most channels and cannot sit inside another.
+ * Returns the new block list.
+ */
+function applyTokens(blocks, options) {
+    // mapDocument descends into the mentions made here, whose own text
+    // would match again; it is left as it is.
+    const labels = new WeakSet();
+    const linked = new WeakSet();
+    const markLinked = (nodes) => nodes.forEach(n => {
+        linked.add(n);
+        if (n.children) markLinked(n.children);
+    });
+    return mapDocument(blocks, {
+        inline: (node) => {
+            if (node.type === 'link') markLinked(node.children);
+            if (node.type !== 'text' || labels.has(node)) return node;
+            const nodes = splitTokens(node.value, linked.has(node) ? null : options.mentions);
+            nodes.forEach(n => n.type === 'mention' && labels.add(n.children[0]));
+            return nodes;
+        },
+    });
+}
+
+module.exports = { applyTokens, EMOJI };
@@ -0,0 +1,155 @@
+/**
+ * Telegram MarkdownV2 validator for format-markdown
+ *
+ * Telegram refuses a whole message when any part of its MarkdownV2 is
+ * malformed ("can't parse entities"). validateMarkdownV2() checks rendered
+ * text against the same rules before it is sent:
+ *
+ *   - outside entities, every one of _*[]()~`>#+-=|{}.! is escaped unless it
+ *     is markup, and a backslash always escapes the next character
+ *   - *bold*, _italic_, __underline__, ~strike~ and ||spoiler|| are closed,
+ *     in the reverse order they were opened, and never nest in themselves
+ *   - inside `code` and ```pre``` blocks, ` and \ are escaped
+ *   - inside a link's (url), ) and \ are escaped
+ *   - ">" quotes only at the start of a line, and an expandable quote
+ *     ("**>" ... "||") is closed
+ *
+ * The renderer escapes everything already; this is the safety net that lets
+ * telegram.js fall back to plain text for the one block that slipped past.
+ */
+
+const SPECIAL = '_*[]()~`>#+-=|{}.!';
+const SPANS = ['__', '_', '*', '~', '||'];
+
+function fail(offset, reason) {
+    return { offset, reason };
+}
+
+// Scans from `from` to the first unescaped `close`, allowing only escaped
+// backticks and backslashes on the way. Returns the index of the closer, or
+// an error.
+function scanCode(text, from, close) {
+    let i = from;
+    while (i < text.length) {
+        if (text[i] === '\\') {
+            if (i + 1 >= text.length) return fail(i, 'backslash at the end of the text');
+            i += 2;
+        } else if (text.startsWith(close, i)) {
+            return { end: i };
+        } else if (text[i] === '`') {
+            return fail(i, 'unescaped ` inside code');
+        } else {
+            i++;
+        }
+    }
+    return fail(from, 'code is never closed');
+}
+
+function scanUrl(text, from) {
+    let i = from;
+    while (i < text.length) {
+        if (text[i] === '\\') {
+            i += 2;
+        } else if (text[i] === ')') {
+            return { end: i };
+        } else if (text[i] === '\n') {
+            return fail(i, 'line break inside a link URL');
+        } else {
+            i++;
+        }
+    }
+    return fail(from, 'link URL is never closed');
+}
+
+function atLineStart(text, i) {
+    return i === 0 || text[i - 1] === '\n';
+}
+
+/**
+ * Checks `text` as Telegram MarkdownV2. Returns null when Telegram would
+ * accept it, otherwise { offset, reason } for the first problem found.
+ */
+function validateMarkdownV2(text) {
+    const stack = [];
+    let i = 0;
+    while (i < text.length) {
+        const ch = text[i];
+
+        if (ch === '\\') {
+            if (i + 1 >= text.length) return fail(i, 'backslash at the end of the text');
+            i += 2;
+            continue;
+        }
+
+        if (ch === '`') {
+            const fence = text.startsWith('```', i);
+            const from = fence ? text.indexOf('\n', i) + 1 || text.length : i + 1;
+            const code = scanCode(text, from, fence ? '```' : '`');
+            if (code.reason) return code;
+            i = code.end + (fence ? 3 : 1);
+            continue;
+        }
+
+        if (ch === '*' && text.startsWith('**>', i) && atLineStart(text, i)) {
+            stack.push({ marker: 'expandable', offset: i });
+            i += 3;
+            continue;
+        }
+
+        if (ch === '>') {
+            if (!atLineStart(text, i)) return fail(i, 'unescaped >');
+            i++;
+            continue;
+        }
+
+        if (ch === '|' && text.startsWith('||', i) && stack.length
+            && stack[stack.length - 1].marker === 'expandable' && (i + 2 === text.length || text[i + 2] === '\n')) {
+            stack.pop();
+            i += 2;
+            continue;
+        }
+
+        const span = SPANS.find(marker => text.startsWith(marker, i));
+        if (span) {
+            const top = stack[stack.length - 1];
+            if (top && top.marker === span) {
+                stack.pop();
+            } else if (stack.some(open => open.marker === span)) {
+                return fail(i, span + ' closes across another entity');
+            } else {
+                stack.push({ marker: span, offset: i });
+            }
+            i += span.length;
+            continue;
+        }
+
+        if (ch === '[') {
+            if (stack.some(open => open.marker === '[')) return fail(i, 'link inside a link');
+            stack.push({ marker: '[', offset: i });
+            i++;
+            continue;
+        }
+
+        if (ch === ']') {
+            const top = stack[stack.length - 1];
+            if (!top || top.marker !== '[') return fail(i, 'unescaped ]');
+            if (text[i + 1] !== '(') return fail(i, 'link text without a URL');
+            const url = scanUrl(text, i + 2);
+            if (url.reason) return url;
+            stack.pop();
+            i = url.end + 1;
+            continue;
+        }
+
+        if (SPECIAL.includes(ch)) return fail(i, 'unescaped ' + ch);
+        i++;
+    }
+
+    if (stack.length) {
+        const open = stack[stack.length - 1];
+        return fail(open.offset, (open.marker === 'expandable' ? 'expandable quote' : open.marker) + ' is never closed');
+    }
+    return null;
+}
+
+module.exports = { validateMarkdownV2 };
@@ -0,0 +1,79 @@
+/**
+ * WhatsApp renderer for format-markdown
+ *
+ * Walks the shared document tree and emits WhatsApp markup: *bold*,
+ * _italic_, ~strike~, `code`, ```blocks``` and "> " quotes. Links follow
+ * the linkStyle option ("text (url)" by default), headings become bold
+ * lines and tables become card-style groups (or a monospace grid with
+ * tableStyle 'box'). WhatsApp has no spoilers, so ||spoiler|| text is shown
+ * as is.
+ */
+
+const { mapText, linkText, renderList, prefixLines, joinBlocks } = require('./markdown');
+const { parseForChannel } = require('./attachments');
+const { renderBoxTable, renderCardTable } = require('./tables');
+const { resolveOptions } = require('./config');
+
+function wrap(marker, node, options, active) {
+    if (active.has(node.type)) return renderInline(node.children, options, active);
+    const inner = renderInline(node.children, options, new Set(active).add(node.type));
+    return marker + inner + marker;
+}
+
+function renderInline(nodes, options, active = new Set()) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'text':
+                return node.value;
+            case 'strong':
+                return wrap('*', node, options, active);
+            case 'emphasis':
+                return wrap('_', node, options, active);
+            case 'delete':
+                return wrap('~', node, options, active);
+            case 'spoiler':
+                return renderInline(node.children, options, active);
+            case 'inlineCode':
+                return '`' + node.value + '`';
+            case 'link':
+                return linkText(renderInline(node.children, options, active), node, options.linkStyle);
+            case 'mention':
+                // WhatsApp mentions a user by phone number.
+                return node.kind === 'user' ? '@' + node.id : renderInline(node.children, options, active);
+            default:
+                return '';
+        }
+    }).join('');
+}
+
+function renderHeading(block, options) {
+    if (options.headingStyle === 'plain') return renderInline(block.children, options);
+    if (options.headingStyle === 'upper') return renderInline(mapText(block.children, s => s.toUpperCase()), options);
+    return '*' + renderInline(block.children, options, new Set(['strong'])) + '*';
+}
+
+function renderBlock(block, options) {
+    switch (block.type) {
+        case 'heading':
+            return renderHeading(block, options);
+        case 'paragraph':
+            return renderInline(block.children, options);
+        case 'list':
+            return renderList(block, options.bullet, children => renderInline(children, options));
+        case 'code':
+            return '```' + block.value + '\n```';
+        case 'table':
+            if (options.tableStyle === 'box') return '```' + renderBoxTable(block, options) + '\n```';
+            return renderCardTable(block, options);
+        case 'blockquote':
+            return prefixLines(joinBlocks(block.children, child => renderBlock(child, options)), '> ');
+        default:
+            return null;
+    }
+}
+
+function formatWhatsApp(text, options = resolveOptions('whatsapp')) {
+    return joinBlocks(parseForChannel(text, options), block => renderBlock(block, options)).trim();
+}
+
+module.exports = { formatWhatsApp };
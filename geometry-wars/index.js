@@ -5,14 +5,69 @@
  * TinyClaw events (message_received, agent_routed, response_ready, etc.)
  * via SSE. Self-contained HTTP server + game HTML.
  *
+ * Every agent named in an event (agentId / agentName, or an `agent` object
+ * with id and name) gets its own colored, labeled ship flying in formation
+ * around the main one; it lights up on each event about that agent. Chain
+ * handoffs (chain_handoff with fromAgent / toAgent, or consecutive
+ * chain_step_start events) draw a beam from one agent's ship to the next.
+ *
  * Starts automatically on plugin load. Access at http://localhost:3333/
+ * deactivate(ctx) stops the server, watcher and heartbeat and ends open
+ * streams, so the plugin can be reloaded (activate again) in place.
+ *
+ * Config (`ctx.config`, all optional):
+ *
+ *   port            port to listen on (3333); when it is taken the next
+ *                   PORT_ATTEMPTS - 1 ports are tried in turn
+ *   host            address to bind ('127.0.0.1'; '0.0.0.0' for the LAN)
+ *   allowedOrigins  origins allowed to read /events cross-origin, or ['*']
+ *                   for any ([] - same origin only)
+ *   token           when set, the page and /events require it, either as
+ *                   "Authorization: Bearer <token>" or as ?token=<token>
+ *                   (browsers open the page with ?token=..., and the page
+ *                   passes it on to /events)
+ *   eventMaxAgeMinutes  event files older than this are deleted (1440)
+ *   eventMaxFiles   at most this many event files are kept, the oldest
+ *                   going first (1000)
+ *
+ * Event files are picked up by fs.watch where it works and by polling
+ * always (more often where it does not), only once they hold complete JSON,
+ * in the order of their `timestamp`, and each only once. Files already there
+ * when the plugin starts are not sent.
+ *
+ * The last HISTORY_SIZE events are kept in memory and every event is sent
+ * with an `id:`, so a reconnecting EventSource (Last-Event-ID) gets what it
+ * missed, and /events?since=<ms epoch or ISO time> backfills a newly opened
+ * page with everything after that time (the page itself asks for since=0). History, ids and the record of
+ * files already sent survive deactivate/activate, so a page resuming after
+ * a reload gets just the events it missed, including files written while
+ * the plugin was stopped.
  */
 
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULTS = {
+    port: 3333,
+    host: '127.0.0.1',
+    allowedOrigins: [],
+    token: null,
+    eventMaxAgeMinutes: 1440,
+    eventMaxFiles: 1000,
+};
+
+const PORT_ATTEMPTS = 10;
+const HISTORY_SIZE = 500;
 
-const PORT = 3333;
+const POLL_MS = 1000;
+const WATCHED_POLL_MS = 5000;
+const SCAN_DEBOUNCE_MS = 50;
+// A file that still is not valid JSON this long after its last write is
+// given up on.
+const INCOMPLETE_TIMEOUT_MS = 10000;
+const SEEN_KEYS = 2000;
 
 const GEOMETRY_HTML = `<!DOCTYPE html>
 <html lang="en">
@@ -260,6 +315,110 @@ const GEOMETRY_HTML = `<!DOCTYPE html>
       ctx.shadowBlur = 0; ctx.restore();
     }
 
+    var AGENT_COLORS = ['#f0f', '#ff0', '#0f0', '#f80', '#48f', '#f44', '#8ff', '#fa8'];
+    var MAX_AGENT_SHIPS = 12;
+    var agentShips = [];
+    var agentById = {};
+    var agentColorIndex = 0;
+    var beams = [];
+    var lastChainAgent = null;
+
+    function agentRef(value) {
+      if (value === null || value === undefined || value === '') return null;
+      if (typeof value === 'object') return value.id !== undefined ? { id: String(value.id), name: String(value.name || value.id) } : null;
+      return { id: String(value), name: String(value) };
+    }
+    function eventAgent(ev) {
+      var ref = agentRef(ev.agentId !== undefined ? ev.agentId : ev.agent);
+      if (ref && ev.agentName) ref.name = String(ev.agentName);
+      return ref;
+    }
+    // Returns the ship for an agent, spawning it beside the main ship the
+    // first time; past MAX_AGENT_SHIPS the one lit longest ago makes room.
+    function agentShip(ref) {
+      if (!ref) return null;
+      var a = agentById[ref.id];
+      if (a) { if (ref.name !== ref.id) a.name = ref.name; return a; }
+      if (agentShips.length >= MAX_AGENT_SHIPS) {
+        var oldest = 0;
+        for (var i = 1; i < agentShips.length; i++) if (agentShips[i].litAt < agentShips[oldest].litAt) oldest = i;
+        delete agentById[agentShips[oldest].id]; agentShips.splice(oldest, 1);
+      }
+      a = { id: ref.id, name: ref.name, color: AGENT_COLORS[agentColorIndex++ % AGENT_COLORS.length],
+        x: ship.x, y: ship.y, vx: 0, vy: 0, angle: ship.angle, glow: 0, litAt: 0 };
+      agentShips.push(a); agentById[ref.id] = a;
+      spawnParticles(a.x, a.y, a.color, 20);
+      return a;
+    }
+    function lightUp(a) {
+      if (!a) return;
+      a.glow = 1; a.litAt = Date.now();
+      spawnParticles(a.x, a.y, a.color, 12); applyGridForce(a.x, a.y, 3, 90);
+    }
+    function addBeam(from, to) {
+      if (!from || !to || from === to) return;
+      beams.push({ from: from, to: to, life: 1 });
+      spawnParticles(to.x, to.y, to.color, 15);
+    }
+    function trackAgents(ev) {
+      var a = agentShip(eventAgent(ev));
+      lightUp(a);
+      if (ev.type === 'chain_handoff' || ev.type === 'chain_step_start') {
+        var from = agentShip(agentRef(ev.fromAgent)) || (ev.type === 'chain_step_start' ? lastChainAgent : null);
+        var to = agentShip(agentRef(ev.toAgent)) || a;
+        lightUp(to); addBeam(from, to);
+        if (to) lastChainAgent = to;
+      }
+      if (ev.type === 'team_chain_start') lastChainAgent = a;
+      if (ev.type === 'team_chain_end') lastChainAgent = null;
+    }
+
+    // Agent ships keep station on a slowly turning ring around the main ship.
+    function updateAgentShips(dt) {
+      var spin = performance.now() * 0.0003;
+      for (var i = 0; i < agentShips.length; i++) {
+        var a = agentShips[i];
+        var slot = spin + (i / agentShips.length) * Math.PI * 2;
+        var radius = 70 + (i % 2) * 25;
+        var dx = ship.x + Math.cos(slot) * radius - a.x; var dy = ship.y + Math.sin(slot) * radius - a.y;
+        a.vx = (a.vx + dx * 0.004) * 0.92; a.vy = (a.vy + dy * 0.004) * 0.92;
+        a.x += a.vx; a.y += a.vy;
+        var spd = Math.sqrt(a.vx * a.vx + a.vy * a.vy);
+        if (spd > 0.2) a.angle = Math.atan2(a.vy, a.vx);
+        if (a.glow > 0) a.glow = Math.max(0, a.glow - 0.01 * dt);
+      }
+      for (var j = beams.length - 1; j >= 0; j--) { beams[j].life -= 0.012 * dt; if (beams[j].life <= 0) beams.splice(j, 1); }
+    }
+    function drawAgentShip(a) {
+      ctx.save(); ctx.translate(a.x, a.y); ctx.rotate(a.angle); ctx.scale(0.8, 0.8);
+      ctx.strokeStyle = a.color; ctx.lineWidth = 2;
+      ctx.shadowBlur = 8 + a.glow * 20; ctx.shadowColor = a.color;
+      ctx.beginPath();
+      ctx.moveTo(12, 0); ctx.lineTo(-8, -7); ctx.lineTo(-4, 0); ctx.lineTo(-8, 7);
+      ctx.closePath(); ctx.stroke();
+      ctx.globalAlpha = 0.2 + a.glow * 0.6; ctx.fillStyle = a.color; ctx.fill();
+      ctx.restore();
+      ctx.save();
+      ctx.font = '10px Courier New'; ctx.textAlign = 'center';
+      ctx.globalAlpha = 0.5 + a.glow * 0.5; ctx.fillStyle = a.color;
+      ctx.shadowBlur = a.glow * 10; ctx.shadowColor = a.color;
+      ctx.fillText(a.name, a.x, a.y - 16);
+      ctx.restore();
+    }
+    function drawBeams() {
+      for (var i = 0; i < beams.length; i++) {
+        var b = beams[i]; var flicker = 0.6 + Math.random() * 0.4;
+        var grad = ctx.createLinearGradient(b.from.x, b.from.y, b.to.x, b.to.y);
+        grad.addColorStop(0, b.from.color); grad.addColorStop(1, b.to.color);
+        ctx.globalAlpha = Math.max(0, b.life) * flicker;
+        ctx.strokeStyle = grad; ctx.lineWidth = 2 + b.life * 2; ctx.shadowBlur = 15; ctx.shadowColor = b.to.color;
+        ctx.beginPath(); ctx.moveTo(b.from.x, b.from.y); ctx.lineTo(b.to.x, b.to.y); ctx.stroke();
+        ctx.strokeStyle = '#fff'; ctx.lineWidth = 1; ctx.globalAlpha *= 0.6;
+        ctx.beginPath(); ctx.moveTo(b.from.x, b.from.y); ctx.lineTo(b.to.x, b.to.y); ctx.stroke();
+      }
+      ctx.globalAlpha = 1; ctx.shadowBlur = 0;
+    }
+
     var bullets = [];
     function fireBullet() {
       var noseX = ship.x + Math.cos(ship.angle) * 14;
@@ -486,7 +645,12 @@ const GEOMETRY_HTML = `<!DOCTYPE html>
       return best;
     }
 
-    var sse = new EventSource('/events');
+    // since=0 backfills a fresh page from the history; reconnects send
+    // Last-Event-ID, which takes precedence over it.
+    var query = new URLSearchParams({ since: '0' });
+    var token = new URLSearchParams(location.search).get('token');
+    if (token) query.set('token', token);
+    var sse = new EventSource('/events?' + query);
     sse.onmessage = function(e) {
       try {
         var ev = JSON.parse(e.data);
@@ -498,6 +662,7 @@ const GEOMETRY_HTML = `<!DOCTYPE html>
           case 'team_chain_start': setState('collaborating'); break;
           case 'team_chain_end': setState('speaking'); break;
         }
+        trackAgents(ev);
       } catch(err) {}
     };
 
@@ -506,7 +671,7 @@ const GEOMETRY_HTML = `<!DOCTYPE html>
       requestAnimationFrame(frame);
       var dt = (now - lastTime) / 16.67; lastTime = now; stateTime += dt;
       ctx.fillStyle = '#000'; ctx.fillRect(0, 0, W, H);
-      updateGrid(); updateShip(); updateBullets(); updateEnemies(); updateAsteroids(); updateCrystals(); updateParticles();
+      updateGrid(); updateShip(); updateAgentShips(dt); updateBullets(); updateEnemies(); updateAsteroids(); updateCrystals(); updateParticles();
 
       if (currentState === 'idle') {
         if (crystals.length > 0) {
@@ -564,7 +729,8 @@ const GEOMETRY_HTML = `<!DOCTYPE html>
         var mdx = miningTarget.x-ship.x; var mdy = miningTarget.y-ship.y;
         if (Math.sqrt(mdx*mdx+mdy*mdy) < 120) { var noseX = ship.x+Math.cos(ship.angle)*14; var noseY = ship.y+Math.sin(ship.angle)*14; drawMiningLaser(noseX, noseY, miningTarget.x, miningTarget.y); }
       }
-      drawCrystals(); drawParticles(); drawShip(ship.x, ship.y, ship.angle);
+      drawCrystals(); drawBeams(); drawParticles(); drawShip(ship.x, ship.y, ship.angle);
+      for (var i = 0; i < agentShips.length; i++) drawAgentShip(agentShips[i]);
     }
 
     window.addEventListener('resize', resize);
@@ -578,24 +744,304 @@ const GEOMETRY_HTML = `<!DOCTYPE html>
 let server = null;
 let watcher = null;
 let heartbeatInterval = null;
+const sseClients = new Set();
+// What has been sent so far, kept across deactivate/activate so that a page
+// resuming after a reload is neither sent events again nor given new ids for
+// them. Started afresh when the events directory changes.
+let eventState = null;
+
+// --- Config ---
+
+function loadConfig(raw, log) {
+    const config = { ...DEFAULTS };
+    const warn = (key, expected) => log('WARN', 'geometry-wars: ' + key + ' must be ' + expected
+        + ', got ' + JSON.stringify(raw[key]) + '; using the default');
+    if (raw.port !== undefined) {
+        if (Number.isInteger(raw.port) && raw.port >= 1 && raw.port <= 65535) config.port = raw.port;
+        else warn('port', 'an integer from 1 to 65535');
+    }
+    if (raw.host !== undefined) {
+        if (typeof raw.host === 'string' && raw.host) config.host = raw.host;
+        else warn('host', 'a non-empty string');
+    }
+    if (raw.allowedOrigins !== undefined) {
+        if (Array.isArray(raw.allowedOrigins) && raw.allowedOrigins.every(o => typeof o === 'string')) {
+            config.allowedOrigins = raw.allowedOrigins;
+        } else {
+            warn('allowedOrigins', 'an array of origins');
+        }
+    }
+    if (raw.token !== undefined && raw.token !== null) {
+        if (typeof raw.token === 'string' && raw.token) config.token = raw.token;
+        else warn('token', 'a non-empty string');
+    }
+    for (const key of ['eventMaxAgeMinutes', 'eventMaxFiles']) {
+        if (raw[key] === undefined) continue;
+        if (Number.isInteger(raw[key]) && raw[key] >= 1) config[key] = raw[key];
+        else warn(key, 'a positive integer');
+    }
+    for (const key of Object.keys(raw)) {
+        if (!(key in DEFAULTS)) log('WARN', 'geometry-wars: unknown option ' + key + ', ignoring it');
+    }
+    return config;
+}
+
+// --- Event history ---
+
+// Fixed-size ring of { id, ts, data }, oldest first. Ids start from the
+// time the ring is created, so they keep increasing across process restarts
+// too and a Last-Event-ID from before one simply predates everything kept.
+function createHistory(size) {
+    const slots = new Array(size);
+    let start = 0;
+    let length = 0;
+    let nextId = Date.now();
+    return {
+        add(data, ts = Date.now()) {
+            const event = { id: nextId++, ts, data };
+            slots[(start + length) % size] = event;
+            if (length < size) length++;
+            else start = (start + 1) % size;
+            return event;
+        },
+        after(test) {
+            const events = [];
+            for (let i = 0; i < length; i++) {
+                const event = slots[(start + i) % size];
+                if (test(event)) events.push(event);
+            }
+            return events;
+        },
+    };
+}
+
+function formatEvent(event) {
+    // A data line cannot hold a newline; each line gets its own.
+    return 'id: ' + event.id + '\n' + event.data.split('\n').map(line => 'data: ' + line).join('\n') + '\n\n';
+}
+
+function parseSince(value) {
+    if (value === null || value === '') return null;
+    const ts = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    return Number.isNaN(ts) ? null : ts;
+}
+
+// Events a new connection has not seen: after its Last-Event-ID when it is
+// reconnecting, after `since` when it asks for a backfill, none otherwise.
+function missedEvents(history, req, url) {
+    const lastId = Number(req.headers['last-event-id']);
+    if (req.headers['last-event-id'] && Number.isFinite(lastId)) return history.after(event => event.id > lastId);
+    const since = parseSince(url.searchParams.get('since'));
+    return since === null ? [] : history.after(event => event.ts > since);
+}
+
+// --- Event ingestion ---
+
+function eventTime(event, mtimeMs) {
+    const ts = typeof event.timestamp === 'number' ? event.timestamp : Date.parse(event.timestamp);
+    return Number.isFinite(ts) ? ts : mtimeMs;
+}
+
+// Remembers the last `size` keys added.
+function createSeen(size) {
+    const keys = new Set();
+    return {
+        has: (key) => keys.has(key),
+        add(key) {
+            keys.add(key);
+            if (keys.size > size) keys.delete(keys.values().next().value);
+        },
+    };
+}
+
+function createEventState(dir) {
+    return {
+        dir,
+        startedAt: Date.now(),
+        history: createHistory(HISTORY_SIZE),
+        seenFiles: new Set(),
+        seenEvents: createSeen(SEEN_KEYS),
+    };
+}
+
+/**
+ * Watches state.dir for event files and calls onEvent(content, ts) for each
+ * new one, oldest first. Files last written before state.startedAt are old
+ * news: they are only subject to retention, never sent. A file counts once
+ * it parses as JSON; an event seen before (same `id`, or the same content)
+ * is skipped. Files past the retention limits are deleted. Returns
+ * { close() }; a scan still running when it is closed sends nothing more.
+ */
+function createIngester(state, config, onEvent, log) {
+    const { dir, startedAt, seenFiles, seenEvents } = state;
+    let closed = false;
+    let scanning = false;
+    let rescan = false;
+    let debounce = null;
+
+    const readEvent = async (file, stat) => {
+        const content = (await fs.promises.readFile(path.join(dir, file), 'utf8')).trim();
+        try {
+            return { file, content, event: JSON.parse(content), mtimeMs: stat.mtimeMs };
+        } catch {
+            // Still being written, most likely; look again next scan.
+            if (Date.now() - stat.mtimeMs > INCOMPLETE_TIMEOUT_MS) {
+                log('WARN', 'geometry-wars: skipping ' + file + ', not valid JSON');
+                seenFiles.add(file);
+            }
+            return null;
+        }
+    };
+
+    const enforceRetention = async (files) => {
+        const cutoff = Date.now() - config.eventMaxAgeMinutes * 60000;
+        const byAge = files.filter(f => seenFiles.has(f.file)).sort((a, b) => a.stat.mtimeMs - b.stat.mtimeMs);
+        const excess = files.length - config.eventMaxFiles;
+        for (const [i, f] of byAge.entries()) {
+            if (f.stat.mtimeMs >= cutoff && i >= excess) break;
+            await fs.promises.unlink(path.join(dir, f.file)).catch(() => {});
+            seenFiles.delete(f.file);
+        }
+    };
+
+    const scan = async () => {
+        if (closed) return;
+        if (scanning) {
+            rescan = true;
+            return;
+        }
+        scanning = true;
+        try {
+            const names = (await fs.promises.readdir(dir)).filter(name => name.endsWith('.json'));
+            const files = [];
+            for (const file of names) {
+                const stat = await fs.promises.stat(path.join(dir, file)).catch(() => null);
+                if (stat && stat.isFile()) files.push({ file, stat });
+            }
+            const ready = [];
+            const cutoff = Date.now() - config.eventMaxAgeMinutes * 60000;
+            for (const { file, stat } of files) {
+                if (seenFiles.has(file)) continue;
+                if (stat.mtimeMs < startedAt || stat.mtimeMs < cutoff) {
+                    // There before the plugin first started, or past retention;
+                    // kept or deleted below, but not replayed.
+                    seenFiles.add(file);
+                    continue;
+                }
+                const read = await readEvent(file, stat).catch(() => null);
+                if (read) ready.push(read);
+            }
+            ready.sort((a, b) => eventTime(a.event, a.mtimeMs) - eventTime(b.event, b.mtimeMs) || (a.file < b.file ? -1 : 1));
+            if (closed) return;
+            for (const { file, content, event, mtimeMs } of ready) {
+                seenFiles.add(file);
+                const key = event.id !== undefined
+                    ? 'id:' + event.id
+                    : 'sha1:' + crypto.createHash('sha1').update(content).digest('hex');
+                if (seenEvents.has(key)) continue;
+                seenEvents.add(key);
+                onEvent(content, eventTime(event, mtimeMs));
+            }
+            // Forget files that are gone, so the set stays as small as the directory.
+            const present = new Set(names);
+            for (const file of seenFiles) if (!present.has(file)) seenFiles.delete(file);
+            await enforceRetention(files);
+        } catch (err) {
+            log('WARN', 'geometry-wars: could not scan events directory: ' + err.message);
+        } finally {
+            scanning = false;
+            if (rescan) {
+                rescan = false;
+                scan();
+            }
+        }
+    };
+
+    const schedule = () => {
+        clearTimeout(debounce);
+        debounce = setTimeout(scan, SCAN_DEBOUNCE_MS);
+    };
+
+    let watcher = null;
+    let poller = null;
+    try {
+        watcher = fs.watch(dir, schedule);
+        watcher.on('error', () => {
+            log('WARN', 'geometry-wars: events directory watch failed, polling only');
+            watcher.close();
+            watcher = null;
+            clearInterval(poller);
+            poller = setInterval(scan, POLL_MS);
+        });
+    } catch {
+        log('WARN', 'geometry-wars: could not watch events directory, polling instead');
+    }
+    poller = setInterval(scan, watcher ? WATCHED_POLL_MS : POLL_MS);
+    scan();
+
+    return {
+        close() {
+            closed = true;
+            if (watcher) watcher.close();
+            clearInterval(poller);
+            clearTimeout(debounce);
+        },
+    };
+}
+
+// --- Access control ---
+
+function tokenMatches(given, expected) {
+    if (typeof given !== 'string') return false;
+    const a = Buffer.from(given);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function isAuthorized(req, url, token) {
+    if (!token) return true;
+    const header = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    return tokenMatches(header ? header[1].trim() : url.searchParams.get('token'), token);
+}
+
+function corsHeaders(req, allowedOrigins) {
+    const origin = req.headers.origin;
+    if (!origin) return {};
+    if (allowedOrigins.includes('*')) return { 'Access-Control-Allow-Origin': '*' };
+    if (allowedOrigins.includes(origin)) return { 'Access-Control-Allow-Origin': origin, 'Vary': 'Origin' };
+    return {};
+}
 
 module.exports.activate = function(ctx) {
+    // Activating twice without deactivating in between replaces the old
+    // instance rather than leaking it.
+    if (server) stop();
+    const config = loadConfig(ctx.config || {}, ctx.log);
     const eventsDir = path.join(ctx.getTinyClawHome(), 'events');
     if (!fs.existsSync(eventsDir)) {
         fs.mkdirSync(eventsDir, { recursive: true });
     }
 
-    const sseClients = new Set();
+    if (!eventState || eventState.dir !== eventsDir) eventState = createEventState(eventsDir);
+    const history = eventState.history;
 
     server = http.createServer((req, res) => {
-        if (req.url === '/events') {
+        const url = new URL(req.url, 'http://localhost');
+        if (!isAuthorized(req, url, config.token)) {
+            res.writeHead(401, { 'Content-Type': 'text/plain', 'WWW-Authenticate': 'Bearer', ...corsHeaders(req, config.allowedOrigins) });
+            res.end('Unauthorized\n');
+            return;
+        }
+
+        if (url.pathname === '/events') {
             res.writeHead(200, {
                 'Content-Type': 'text/event-stream',
                 'Cache-Control': 'no-cache',
                 'Connection': 'keep-alive',
-                'Access-Control-Allow-Origin': '*',
+                ...corsHeaders(req, config.allowedOrigins),
             });
             res.write(':\n\n');
+            for (const event of missedEvents(history, req, url)) res.write(formatEvent(event));
             sseClients.add(res);
             req.on('close', () => sseClients.delete(res));
             return;
@@ -605,35 +1051,62 @@ module.exports.activate = function(ctx) {
         res.end(GEOMETRY_HTML);
     });
 
-    try {
-        watcher = fs.watch(eventsDir, (eventType, filename) => {
-            if (eventType !== 'rename' || !filename || !filename.endsWith('.json')) return;
-            const filePath = path.join(eventsDir, filename);
-            try {
-                if (!fs.existsSync(filePath)) return;
-                const content = fs.readFileSync(filePath, 'utf8').trim();
-                if (!content) return;
-                const data = 'data: ' + content + '\n\n';
-                for (const client of sseClients) client.write(data);
-            } catch {}
-        });
-    } catch {
-        ctx.log('WARN', 'Could not watch events directory');
-    }
+    watcher = createIngester(eventState, config, (content, ts) => {
+        const data = formatEvent(history.add(content, ts));
+        for (const client of sseClients) client.write(data);
+    }, ctx.log);
 
     heartbeatInterval = setInterval(() => {
-        for (const client of sseClients) client.write(':\\n\\n');
+        for (const client of sseClients) client.write(':\n\n');
     }, 15000);
 
-    server.listen(PORT, () => {
-        ctx.log('INFO', 'Geometry Wars running at http://localhost:' + PORT);
+    let port = config.port;
+    server.on('listening', () => {
+        const shown = config.host === '0.0.0.0' || config.host === '::' ? 'localhost' : config.host;
+        const where = 'http://' + (shown.includes(':') ? '[' + shown + ']' : shown) + ':' + port + '/';
+        ctx.log('INFO', 'Geometry Wars running at ' + where + (config.token ? ' (token required)' : ''));
     });
 
     server.on('error', (err) => {
-        if (err.code === 'EADDRINUSE') {
-            ctx.log('WARN', 'Port ' + PORT + ' in use, geometry-wars server not started');
+        if (err.code === 'EADDRINUSE' && port < config.port + PORT_ATTEMPTS - 1 && port < 65535) {
+            ctx.log('WARN', 'Port ' + port + ' in use, trying ' + (port + 1));
+            port++;
+            server.listen(port, config.host);
+        } else if (err.code === 'EADDRINUSE') {
+            ctx.log('WARN', 'Ports ' + config.port + '-' + port + ' in use, geometry-wars server not started');
         } else {
             ctx.log('ERROR', 'Server error: ' + err.message);
         }
     });
+
+    server.listen(port, config.host);
+};
+
+// Stops everything activate() started. Returns a promise that resolves once
+// the server has closed.
+function stop() {
+    if (watcher) watcher.close();
+    clearInterval(heartbeatInterval);
+    watcher = null;
+    heartbeatInterval = null;
+    // Ending the response closes the stream; the page's EventSource
+    // reconnects by itself once the plugin is back.
+    for (const client of sseClients) client.end();
+    sseClients.clear();
+    const closing = server;
+    server = null;
+    if (!closing) return Promise.resolve();
+    closing.removeAllListeners('error');
+    closing.on('error', () => {});
+    return new Promise(resolve => {
+        closing.close(() => resolve());
+        closing.closeAllConnections();
+    });
+}
+
+module.exports.deactivate = function(ctx) {
+    const wasRunning = server !== null;
+    return stop().then(() => {
+        if (wasRunning && ctx && ctx.log) ctx.log('INFO', 'Geometry Wars stopped');
+    });
 };
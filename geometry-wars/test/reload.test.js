@@ -0,0 +1,156 @@
+/**
+ * Reload tests for geometry-wars
+ *
+ * Runs the plugin against a temporary TinyClaw home, reloads it with
+ * deactivate/activate and reconnects to /events the way the page's
+ * EventSource does, with the Last-Event-ID it last saw. A freshly loaded
+ * page, connecting with the URL its own script builds, gets the history:
+ *
+ *   node --test geometry-wars/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const plugin = require('..');
+
+const WAIT_MS = 5000;
+
+function wait(condition) {
+    const deadline = Date.now() + WAIT_MS;
+    return new Promise((resolve, reject) => {
+        const check = () => {
+            const value = condition();
+            if (value) resolve(value);
+            else if (Date.now() > deadline) reject(new Error('timed out'));
+            else setTimeout(check, 20);
+        };
+        check();
+    });
+}
+
+function activate(home, logs) {
+    plugin.activate({ config: {}, log: (level, message) => logs.push(message), getTinyClawHome: () => home });
+    return wait(() => {
+        const line = logs.find(message => message.startsWith('Geometry Wars running at '));
+        return line && line.slice('Geometry Wars running at '.length);
+    });
+}
+
+// Opens /events and collects { id, data } for every event received.
+function connect(base, query, headers) {
+    const events = [];
+    const req = http.get(base + 'events' + query, { headers }, (res) => {
+        let buffer = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf('\n\n')) !== -1) {
+                const block = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                const id = /^id: (.*)$/m.exec(block);
+                const data = block.split('\n').filter(line => line.startsWith('data: ')).map(line => line.slice(6));
+                if (id) events.push({ id: id[1], data: JSON.parse(data.join('\n')) });
+            }
+        });
+    });
+    req.on('error', () => {});
+    return { events, close: () => req.destroy() };
+}
+
+function fetchPage(base) {
+    return new Promise((resolve, reject) => {
+        http.get(base, (res) => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => { body += chunk; });
+            res.on('end', () => resolve(body));
+        }).on('error', reject);
+    });
+}
+
+// Runs the page's own EventSource setup and returns the URL it opens.
+function pageEventsUrl(html, search) {
+    const setup = /var query = [\s\S]*?new EventSource\([^;]*\);/.exec(html)[0];
+    let opened = null;
+    vm.runInNewContext(setup, {
+        URLSearchParams,
+        location: { search },
+        EventSource: function(url) { opened = url; },
+    });
+    return opened;
+}
+
+function writeEvent(home, name, event) {
+    fs.writeFileSync(path.join(home, 'events', name + '.json'), JSON.stringify(event));
+}
+
+test('a page resuming after a reload gets only what it missed', async () => {
+    const home = fs.mkdtempSync(path.join(os.tmpdir(), 'geometry-wars-'));
+    fs.mkdirSync(path.join(home, 'events'));
+    writeEvent(home, 'stale', { type: 'stale' });
+    const hourAgo = new Date(Date.now() - 3600000);
+    fs.utimesSync(path.join(home, 'events', 'stale.json'), hourAgo, hourAgo);
+
+    try {
+        const logs = [];
+        const base = await activate(home, logs);
+        const first = connect(base, '?since=0');
+        writeEvent(home, 'one', { type: 'one' });
+        writeEvent(home, 'two', { type: 'two', timestamp: Date.now() + 1 });
+        await wait(() => first.events.length === 2);
+        assert.deepStrictEqual(first.events.map(event => event.data.type), ['one', 'two']);
+        first.close();
+
+        await plugin.deactivate({ log: () => {} });
+        writeEvent(home, 'three', { type: 'three' });
+        logs.length = 0;
+        const again = await activate(home, logs);
+
+        const resumed = connect(again, '', { 'Last-Event-ID': first.events[1].id });
+        await wait(() => resumed.events.length >= 1);
+        writeEvent(home, 'four', { type: 'four' });
+        await wait(() => resumed.events.length >= 2);
+        assert.deepStrictEqual(resumed.events.map(event => event.data.type), ['three', 'four']);
+        assert.ok(Number(resumed.events[0].id) > Number(first.events[1].id));
+        resumed.close();
+
+        const backfilled = connect(again, '?since=0');
+        await wait(() => backfilled.events.length >= 4);
+        assert.deepStrictEqual(backfilled.events.map(event => event.id), [...first.events, ...resumed.events].map(event => event.id));
+        backfilled.close();
+    } finally {
+        await plugin.deactivate({ log: () => {} });
+        fs.rmSync(home, { recursive: true, force: true });
+    }
+});
+
+test('a freshly loaded page replays the history', async () => {
+    const home = fs.mkdtempSync(path.join(os.tmpdir(), 'geometry-wars-'));
+    fs.mkdirSync(path.join(home, 'events'));
+
+    try {
+        const base = await activate(home, []);
+        const live = connect(base, '');
+        writeEvent(home, 'one', { type: 'one' });
+        writeEvent(home, 'two', { type: 'two', timestamp: Date.now() + 1 });
+        await wait(() => live.events.length === 2);
+        live.close();
+
+        const html = await fetchPage(base);
+        assert.strictEqual(pageEventsUrl(html, '?token=a b'), '/events?since=0&token=a+b');
+        const url = pageEventsUrl(html, '');
+        const page = connect(base, url.slice('/events'.length));
+        await wait(() => page.events.length === 2);
+        assert.deepStrictEqual(page.events.map(event => event.data.type), ['one', 'two']);
+        page.close();
+    } finally {
+        await plugin.deactivate({ log: () => {} });
+        fs.rmSync(home, { recursive: true, force: true });
+    }
+});